@@ -0,0 +1,243 @@
+/**
+ * Configuration
+ * Ports, hosts, timeouts and paths, layered from lowest to highest priority:
+ * built-in defaults, the JSON config file, environment variables, then
+ * command-line flags. Every value is validated, and errors name the layer
+ * the bad value came from.
+ *
+ * The config file is .claude-chrome-bridge/config.json in the user's home
+ * directory (%USERPROFILE% on Windows), or the file named by
+ * CLAUDE_BRIDGE_CONFIG or --config. Its keys are the setting names below:
+ *
+ *   { "wsPort": 19223, "cdpPort": 9223 }
+ *
+ * The Windows host and the WSL side both load their settings with this module.
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { PROFILE_ORDER } = require('./permissions');
+
+const BRIDGE_DIR = path.join(process.env.USERPROFILE || process.env.HOME || process.cwd(), '.claude-chrome-bridge');
+const DEFAULT_CONFIG_FILE = path.join(BRIDGE_DIR, 'config.json');
+const TEMP_DIR = process.env.TEMP || os.tmpdir();
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Env vars and flags take plain decimal digits only; Number() would also
+// accept "0x50", "1e3" and " 80 ". Anything else fails the type's check.
+function parseInteger(text) {
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+}
+
+const TRUE_TEXT = /^(1|true|yes|on)$/i;
+const FALSE_TEXT = /^(0|false|no|off)$/i;
+
+// parse: turn an env var or flag string into a value; check: describe what's wrong with a value, or null
+const TYPES = {
+  port: {
+    parse: parseInteger,
+    check: value => Number.isInteger(value) && value >= 1 && value <= 65535 ? null : 'must be a port number (1-65535)'
+  },
+  ms: {
+    parse: parseInteger,
+    check: value => Number.isInteger(value) && value > 0 ? null : 'must be a positive whole number of milliseconds'
+  },
+  count: {
+    parse: parseInteger,
+    check: value => Number.isInteger(value) && value >= 0 ? null : 'must be a whole number'
+  },
+  host: {
+    parse: text => text,
+    check: value => typeof value === 'string' && /^[\w.:-]+$/.test(value) ? null : 'must be a hostname or IP address'
+  },
+  path: {
+    parse: text => text,
+    check: value => typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty path'
+  },
+  bytes: {
+    parse: parseInteger,
+    check: value => Number.isInteger(value) && value > 0 ? null : 'must be a positive whole number of bytes'
+  },
+  level: {
+    parse: text => text.toLowerCase(),
+    check: value => ['debug', 'info', 'warn', 'error'].includes(value) ? null : 'must be one of debug, info, warn, error'
+  },
+  boolean: {
+    parse: text => TRUE_TEXT.test(text) ? true : FALSE_TEXT.test(text) ? false : text,
+    check: value => typeof value === 'boolean' ? null : 'must be true or false (or 1 or 0)'
+  },
+  profile: {
+    parse: text => text,
+    check: value => PROFILE_ORDER.includes(value) ? null : `must be one of ${PROFILE_ORDER.join(', ')}`
+  }
+};
+
+// Each side reads the settings it uses and ignores the rest
+const SETTINGS = {
+  // Ports and hosts
+  wsPort: { type: 'port', default: 19222, env: 'WS_PORT', flag: '--ws-port' },
+  listenAddress: { type: 'host', default: '0.0.0.0', env: 'CLAUDE_BRIDGE_LISTEN_ADDRESS', flag: '--listen-address' },
+  windowsHost: { type: 'host', default: null, env: 'WINDOWS_HOST_IP', flag: '--windows-host' },
+  cdpHost: { type: 'host', default: 'localhost', env: 'CDP_HOST', flag: '--cdp-host' },
+  cdpPort: { type: 'port', default: 9222, env: 'CDP_PORT', flag: '--cdp-port' },
+  statusPort: { type: 'port', default: 19224, env: 'CLAUDE_BRIDGE_STATUS_PORT', flag: '--status-port' },
+  tls: { type: 'boolean', default: false, env: 'CLAUDE_BRIDGE_TLS', flag: '--tls' },
+
+  // Permissions
+  profile: { type: 'profile', default: 'full', env: 'CLAUDE_BRIDGE_PROFILE', flag: '--profile' },
+  maxProfile: { type: 'profile', default: 'full', env: 'CLAUDE_BRIDGE_MAX_PROFILE', flag: '--max-profile' },
+
+  // Timeouts and retries
+  cdpTimeout: { type: 'ms', default: 30000, env: 'CLAUDE_BRIDGE_CDP_TIMEOUT', flag: '--cdp-timeout' },
+  toolTimeout: { type: 'ms', default: 60000, env: 'CLAUDE_BRIDGE_TOOL_TIMEOUT', flag: '--tool-timeout' },
+  requestDeadline: { type: 'ms', default: 60000, env: 'CLAUDE_BRIDGE_REQUEST_DEADLINE', flag: '--request-deadline' },
+  reconnectDelay: { type: 'ms', default: 2000, env: 'CLAUDE_BRIDGE_RECONNECT_DELAY', flag: '--reconnect-delay' },
+  maxReconnectAttempts: { type: 'count', default: 50, env: 'CLAUDE_BRIDGE_MAX_RECONNECT_ATTEMPTS', flag: '--max-reconnect-attempts' },
+
+  // Logging
+  logLevel: { type: 'level', default: 'info', env: 'CLAUDE_BRIDGE_LOG_LEVEL', flag: '--log-level' },
+  logFile: { type: 'path', default: path.join(TEMP_DIR, 'claude-chrome-bridge.log'), env: 'CLAUDE_BRIDGE_LOG_FILE', flag: '--log-file' },
+  logMaxSize: { type: 'bytes', default: 10 * 1024 * 1024, env: 'CLAUDE_BRIDGE_LOG_MAX_SIZE', flag: '--log-max-size' },
+  logMaxFiles: { type: 'count', default: 3, env: 'CLAUDE_BRIDGE_LOG_MAX_FILES', flag: '--log-max-files' },
+
+  // Paths
+  socketPath: {
+    type: 'path',
+    default: `/tmp/claude-mcp-browser-bridge-${os.userInfo().username}`,
+    env: 'CLAUDE_BRIDGE_SOCKET',
+    flag: '--socket'
+  },
+  policyFile: { type: 'path', default: path.join(BRIDGE_DIR, 'policy.json'), env: 'CLAUDE_BRIDGE_POLICY_FILE', flag: '--policy-file' },
+  recordFile: { type: 'path', default: null, env: 'CLAUDE_BRIDGE_RECORD', flag: '--record' },
+  recordRedact: { type: 'boolean', default: false, env: 'CLAUDE_BRIDGE_RECORD_REDACT', flag: '--record-redact' }
+};
+
+const FLAGS = new Map(Object.entries(SETTINGS).map(([name, setting]) => [setting.flag, name]));
+
+// Split argv into setting flags ("--ws-port 19223" or "--ws-port=19223"), --config, and everything else
+function parseArgs(argv) {
+  const flags = [];
+  const args = [];
+  let configFile = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s, 2);
+    const name = FLAGS.get(flag);
+    if (!name && flag !== '--config') {
+      args.push(argv[i]);
+      continue;
+    }
+
+    let value = inline;
+    if (value === undefined && name && SETTINGS[name].type === 'boolean') {
+      // A bare boolean flag (--tls) means true; it only takes the next token when that is true/false/1/0/...
+      const next = argv[i + 1];
+      value = next !== undefined && (TRUE_TEXT.test(next) || FALSE_TEXT.test(next)) ? argv[++i] : 'true';
+    } else if (value === undefined) {
+      if (i + 1 >= argv.length) {
+        throw new ConfigError(`${flag} needs a value`);
+      }
+      value = argv[++i];
+    }
+
+    if (name) {
+      flags.push({ name, value });
+    } else {
+      configFile = value;
+    }
+  }
+
+  return { flags, args, configFile };
+}
+
+function readConfigFile(file, required) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT' && !required) {
+      return null;
+    }
+    throw new ConfigError(`Failed to read config file ${file}: ${e.message}`);
+  }
+
+  let values;
+  try {
+    values = JSON.parse(text);
+  } catch (e) {
+    throw new ConfigError(`Invalid config file ${file}: ${e.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new ConfigError(`Invalid config file ${file}: expected a JSON object of settings`);
+  }
+
+  for (const name of Object.keys(values)) {
+    if (!SETTINGS[name]) {
+      throw new ConfigError(`Unknown setting "${name}" in ${file} (known settings: ${Object.keys(SETTINGS).join(', ')})`);
+    }
+  }
+  return values;
+}
+
+/**
+ * Load the configuration.
+ * argv: command-line arguments; setting flags and --config are consumed, the
+ * rest are returned in `args` for the caller to interpret.
+ * Returns { config, sources, file, args }. sources says where each setting
+ * came from ('default', the config file, 'env WS_PORT' or 'flag --ws-port');
+ * file is the config file that was read, or null.
+ * Throws a ConfigError describing the first invalid value.
+ */
+function loadConfig({ argv = [], env = process.env } = {}) {
+  const { flags, args, configFile } = parseArgs(argv);
+  const file = configFile || env.CLAUDE_BRIDGE_CONFIG || DEFAULT_CONFIG_FILE;
+  const config = {};
+  const sources = {};
+
+  // layer: 'file', 'env' or 'flag'; strings from env vars and flags are parsed first
+  const set = (name, raw, layer) => {
+    const setting = SETTINGS[name];
+    const value = layer === 'file' ? raw : TYPES[setting.type].parse(raw);
+    const label = { file: name, env: setting.env, flag: setting.flag }[layer];
+    const problem = TYPES[setting.type].check(value);
+    if (problem) {
+      throw new ConfigError(`Invalid ${label} ${JSON.stringify(raw)}${layer === 'file' ? ` in ${file}` : ''}: ${problem}`);
+    }
+    config[name] = value;
+    sources[name] = layer === 'file' ? file : `${layer} ${label}`;
+  };
+
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    config[name] = setting.default;
+    sources[name] = 'default';
+  }
+
+  const fileValues = readConfigFile(file, file !== DEFAULT_CONFIG_FILE);
+  for (const [name, value] of Object.entries(fileValues || {})) {
+    // null means unset: the setting keeps its default ("windowsHost": null keeps auto-detection)
+    if (value !== null) {
+      set(name, value, 'file');
+    }
+  }
+
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    if (env[setting.env]) {
+      set(name, env[setting.env], 'env');
+    }
+  }
+
+  for (const { name, value } of flags) {
+    set(name, value, 'flag');
+  }
+
+  return { config: Object.freeze(config), sources, file: fileValues ? file : null, args };
+}
+
+module.exports = { loadConfig, ConfigError, SETTINGS };
@@ -0,0 +1,219 @@
+/**
+ * Logger
+ * Leveled logging to stderr and to a JSON-lines file that is rotated by size.
+ * Entries may carry a correlationId: the MCP server assigns one to each tool
+ * call and it travels in the bridge envelope, so every line a call produces
+ * on either side of the bridge can be found by that id.
+ *
+ * The Windows host and the WSL side both log through this module.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Longer strings in logged data (screenshots, page text) are cut to this many characters
+const MAX_STRING_LENGTH = 1000;
+
+// Tool arguments that carry what is typed into the page, which may be a password
+const TYPED_ARGUMENTS = { computer: ['text'], form_input: ['value'] };
+
+function newCorrelationId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// A copy of a tool call's arguments that is safe to write to disk
+function redactToolArguments(toolName, args) {
+  const keys = (TYPED_ARGUMENTS[toolName] || []).filter(key => args && args[key] !== undefined);
+  if (keys.length === 0) {
+    return args;
+  }
+  const redacted = { ...args };
+  for (const key of keys) {
+    redacted[key] = `[redacted ${String(args[key]).length} chars]`;
+  }
+  return redacted;
+}
+
+// JSON.stringify replacer that keeps entries small and Errors readable
+function compact(key, value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.data ? { data: value.data } : {}) };
+  }
+  if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) {
+    return `${value.slice(0, MAX_STRING_LENGTH)}... (${value.length} chars)`;
+  }
+  return value;
+}
+
+// Settings and file state shared by a logger and all of its children
+class LogSink {
+  constructor() {
+    this.component = 'claude-chrome-bridge';
+    this.prefix = 'Bridge';
+    this.level = 'info';
+    this.console = true;
+    this.file = null;
+    this.maxSize = 10 * 1024 * 1024;
+    this.maxFiles = 3;
+    this.size = 0;
+  }
+
+  append(line) {
+    const bytes = Buffer.byteLength(line);
+    try {
+      if (this.size + bytes > this.maxSize) {
+        // Another process may share the file and have rotated it already
+        this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+        if (this.size > 0 && this.size + bytes > this.maxSize) {
+          this.rotate();
+        }
+      }
+      fs.appendFileSync(this.file, line);
+      this.size += bytes;
+    } catch (e) {
+      // Logging must never take the bridge down
+    }
+  }
+
+  // file -> file.1 -> file.2 ..., keeping maxFiles old files
+  rotate() {
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      try {
+        fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+      } catch (e) {
+        // Not that many old files yet
+      }
+    }
+    try {
+      if (this.maxFiles > 0) {
+        fs.renameSync(this.file, `${this.file}.1`);
+      } else {
+        fs.unlinkSync(this.file);
+      }
+    } catch (e) {
+      // Already rotated by another process
+    }
+    this.size = 0;
+  }
+}
+
+class Logger {
+  constructor(sink = new LogSink(), fields = {}) {
+    this.sink = sink;
+    this.fields = fields;
+  }
+
+  /**
+   * Set up the process-wide sink; children created before this follow it too.
+   * options: component (in each entry), prefix (console tag), level, console
+   * (write to stderr), file (JSON lines; null for none), maxSize (bytes),
+   * maxFiles (rotated files kept)
+   */
+  configure(options) {
+    if (options.level !== undefined) {
+      this.setLevel(options.level);
+    }
+    for (const key of ['component', 'prefix', 'console', 'file', 'maxSize', 'maxFiles']) {
+      if (options[key] !== undefined) {
+        this.sink[key] = options[key];
+      }
+    }
+    try {
+      this.sink.size = this.sink.file ? fs.statSync(this.sink.file).size : 0;
+    } catch (e) {
+      this.sink.size = 0;
+    }
+  }
+
+  // Apply the logging settings from loadConfig()'s result. Unless an env var or
+  // flag pinned logLevel, edits to it in the config file take effect while running.
+  useConfig({ config, sources, file }) {
+    this.configure({
+      level: config.logLevel,
+      file: config.logFile,
+      maxSize: config.logMaxSize,
+      maxFiles: config.logMaxFiles
+    });
+    if (file && ['default', file].includes(sources.logLevel)) {
+      this.followLevel(file);
+    }
+  }
+
+  get level() {
+    return this.sink.level;
+  }
+
+  setLevel(level) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level: ${level} (use ${Object.keys(LEVELS).join(', ')})`);
+    }
+    this.sink.level = level;
+  }
+
+  // Pick up logLevel changes in a config file while running, e.g. to turn on debug logging
+  followLevel(configFile) {
+    fs.watchFile(configFile, { interval: 2000, persistent: false }, () => {
+      try {
+        const { logLevel } = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        if (logLevel && logLevel !== this.sink.level) {
+          this.setLevel(logLevel);
+          this.info(`Log level changed to ${logLevel}`);
+        }
+      } catch (e) {
+        this.warn(`Ignoring log level change in ${configFile}: ${e.message}`);
+      }
+    });
+  }
+
+  // A logger that adds fields (e.g. { correlationId }) to every entry
+  child(fields) {
+    return new Logger(this.sink, { ...this.fields, ...fields });
+  }
+
+  debug(message, data) {
+    this.write('debug', message, data);
+  }
+
+  info(message, data) {
+    this.write('info', message, data);
+  }
+
+  warn(message, data) {
+    this.write('warn', message, data);
+  }
+
+  error(message, data) {
+    this.write('error', message, data);
+  }
+
+  write(level, message, data) {
+    if (LEVELS[level] < LEVELS[this.sink.level]) {
+      return;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      component: this.sink.component,
+      message,
+      ...this.fields,
+      ...(data !== undefined ? { data } : {})
+    };
+
+    if (this.sink.console) {
+      const id = this.fields.correlationId ? ` (${this.fields.correlationId})` : '';
+      const details = data !== undefined ? ` ${JSON.stringify(data, compact)}` : '';
+      process.stderr.write(`[${entry.timestamp}] [${this.sink.prefix}] [${level.toUpperCase()}] ${message}${id}${details}\n`);
+    }
+    if (this.sink.file) {
+      this.sink.append(`${JSON.stringify(entry, compact)}\n`);
+    }
+  }
+}
+
+// The process-wide logger; entry points configure it once config is loaded
+const logger = new Logger();
+
+module.exports = { logger, Logger, newCorrelationId, redactToolArguments, LEVELS };
@@ -0,0 +1,91 @@
+/**
+ * Permission Profiles
+ * Named sets of tools (and computer actions) a client connection may use.
+ * Each profile includes everything in the ones before it.
+ *
+ * The Windows host enforces this table on every call; the WSL side uses it to
+ * build tools/list before the host's hello has arrived.
+ */
+
+const PROFILE_ORDER = ['read-only', 'interactive', 'full'];
+
+const PROFILE_GRANTS = {
+  // Observe only: screenshots, page content, logs
+  'read-only': {
+    tools: ['tabs_context_mcp', 'read_page', 'get_page_text', 'find', 'console_logs', 'network_requests', 'computer'],
+    computerActions: ['screenshot', 'wait']
+  },
+  // Drive the page like a user, but no script execution
+  interactive: {
+    tools: ['navigate', 'tabs_create_mcp', 'tabs_close_mcp', 'tabs_activate_mcp', 'form_input'],
+    computerActions: [
+      'left_click', 'click', 'right_click', 'middle_click', 'double_click', 'triple_click',
+      'mouse_move', 'hover', 'left_click_drag', 'type', 'key', 'scroll'
+    ]
+  },
+  full: {
+    tools: ['javascript_tool'],
+    computerActions: []
+  }
+};
+
+// Arguments that make a granted call change the browser, so they need a
+// higher profile than the tool itself. action narrows a rule to one computer action.
+const ARGUMENT_GRANTS = [
+  { tool: 'tabs_context_mcp', argument: 'createIfEmpty', profile: 'interactive', effect: 'opens a tab' },
+  { tool: 'computer', action: 'screenshot', argument: 'ref', profile: 'interactive', effect: 'scrolls the page to the element' }
+];
+
+const DEFAULT_PROFILE = 'full';
+
+// Sent on the WebSocket upgrade so the host applies the profile the client asked for
+const PROFILE_HEADER = 'X-Claude-Bridge-Profile';
+
+// Accumulate grants so each profile includes the lower ones
+const PROFILES = {};
+{
+  const tools = new Set();
+  const computerActions = new Set();
+  for (const name of PROFILE_ORDER) {
+    PROFILE_GRANTS[name].tools.forEach(tool => tools.add(tool));
+    PROFILE_GRANTS[name].computerActions.forEach(action => computerActions.add(action));
+    PROFILES[name] = { tools: new Set(tools), computerActions: new Set(computerActions) };
+  }
+}
+
+function assertProfile(name) {
+  if (!PROFILES[name]) {
+    throw new Error(`Unknown permission profile: ${name} (use ${PROFILE_ORDER.join(', ')})`);
+  }
+}
+
+// Whether profile includes everything in other
+function includesProfile(profile, other) {
+  return PROFILE_ORDER.indexOf(profile) >= PROFILE_ORDER.indexOf(other);
+}
+
+// Tools and computer actions a profile grants ({tools, computerActions} Sets), including those of lower profiles
+function grantsFor(profile) {
+  assertProfile(profile);
+  return { tools: new Set(PROFILES[profile].tools), computerActions: new Set(PROFILES[profile].computerActions) };
+}
+
+// The argument rules a call breaks under profile, e.g. createIfEmpty on a read-only connection
+function deniedArguments(profile, toolName, args = {}) {
+  return ARGUMENT_GRANTS.filter(rule =>
+    rule.tool === toolName &&
+    (!rule.action || rule.action === args.action) &&
+    args[rule.argument] !== undefined && args[rule.argument] !== false &&
+    !includesProfile(profile, rule.profile)
+  );
+}
+
+module.exports = {
+  grantsFor,
+  assertProfile,
+  includesProfile,
+  deniedArguments,
+  PROFILE_ORDER,
+  DEFAULT_PROFILE,
+  PROFILE_HEADER
+};
@@ -0,0 +1,14 @@
+/** Bridge protocol version, exchanged in the hello handshake */
+export declare const PROTOCOL_VERSION: number;
+
+/** Id of the client's hello message, so hosts that predate the handshake can be detected */
+export declare const HELLO_MESSAGE_ID: string;
+
+/** Header on the Windows host's 401 answer, which host discovery looks for */
+export declare const HOST_HEADER: string;
+
+/** How long a client waits for the host's hello reply */
+export declare const HELLO_TIMEOUT: number;
+
+/** Heartbeat interval for connection health checks */
+export declare const HEARTBEAT_INTERVAL: number;
@@ -0,0 +1,28 @@
+/**
+ * Protocol
+ * The protocol constants both sides need at run time. shared/src/protocol.ts
+ * re-exports them, so this is the only place they are defined.
+ */
+
+/**
+ * Bridge protocol version, exchanged in the hello handshake. Bump it whenever
+ * a change to the messages would break a peer built against the old version;
+ * peers with different versions refuse to talk to each other.
+ */
+const PROTOCOL_VERSION = 2;
+
+// Id of the client's hello message, so hosts that predate the handshake can be detected
+const HELLO_MESSAGE_ID = 'hello';
+
+// Header on the Windows host's 401 answer to an upgrade without a valid token.
+// Host discovery probes without a token and only accepts a 401 carrying it.
+const HOST_HEADER = 'X-Claude-Bridge-Host';
+
+// How long a client waits for the host's hello reply
+const HELLO_TIMEOUT = 5000;
+
+// Heartbeat interval for connection health checks. Both ends send a WebSocket
+// ping this often and terminate a peer that hasn't answered the previous one.
+const HEARTBEAT_INTERVAL = 30000; // 30 seconds
+
+module.exports = { PROTOCOL_VERSION, HELLO_MESSAGE_ID, HOST_HEADER, HELLO_TIMEOUT, HEARTBEAT_INTERVAL };
@@ -2,6 +2,10 @@
  * Protocol constants for Claude Chrome Bridge
  */
 
+// The protocol version, hello id, headers and timeouts live in lib/protocol.js, which
+// the Windows host and WSL bridge require at run time
+export { PROTOCOL_VERSION, HELLO_MESSAGE_ID, HOST_HEADER, HELLO_TIMEOUT, HEARTBEAT_INTERVAL } from '../lib/protocol';
+
 /** WebSocket server port */
 export const WS_PORT = 19222;
 
@@ -26,9 +30,6 @@ export const WS_RECONNECT_DELAY = 1000;
 /** WebSocket max reconnection attempts */
 export const WS_MAX_RECONNECT_ATTEMPTS = 10;
 
-/** Heartbeat interval for connection health checks */
-export const HEARTBEAT_INTERVAL = 30000; // 30 seconds
-
 /**
  * Get the Unix socket path for a given username
  */
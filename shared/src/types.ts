@@ -15,8 +15,64 @@ export interface BridgeMessage {
   timestamp: number;
   /** Original message payload from Claude Code or Chrome */
   payload: unknown;
+  /** Ties together the log entries of one tool call on both sides; echoed in the response */
+  correlationId?: string;
 }
 
+/**
+ * First message on a connection. The client sends it as soon as the socket
+ * opens, listing what it can use; the host answers with its own hello,
+ * including the capabilities available to that connection, or with `error`
+ * set and then closes the socket.
+ */
+export interface HelloMessage {
+  type: 'hello';
+  /** HELLO_MESSAGE_ID for the client's hello */
+  id: string;
+  role: 'client' | 'host';
+  protocolVersion: number;
+  /** Name and version of the sending package */
+  software: { name: string; version: string };
+  /** Permission profile granted to the connection (host only) */
+  profile?: string;
+  /** ClientCapabilities from the client, HostCapabilities from the host */
+  capabilities?: ClientCapabilities | HostCapabilities;
+  /** Set by the host when it refuses the connection */
+  error?: string;
+}
+
+/**
+ * What a client can use. A client that leaves them out of its hello (an
+ * earlier release of protocol v2) is offered everything its profile allows.
+ */
+export interface ClientCapabilities {
+  tools: string[];
+  computerActions: string[];
+  limits: {
+    screenshotFormats: string[];
+  };
+}
+
+/**
+ * What the host supports for a connection, after its permission profile is applied
+ */
+export interface HostCapabilities {
+  tools: string[];
+  computerActions: string[];
+  limits: {
+    readPageMaxChars: number;
+    screenshotMaxSize: number;
+    screenshotFormats: string[];
+    maxKeyRepeat: number;
+    navigationTimeout: number;
+  };
+}
+
+/**
+ * Any message sent over the bridge WebSocket
+ */
+export type BridgeEnvelope = HelloMessage | BridgeMessage;
+
 /**
  * Connection status for logging and monitoring
  */
@@ -26,6 +82,38 @@ export interface ConnectionStatus {
   unixSocketReady: boolean;
 }
 
+/**
+ * Per-tool numbers in HostStatus; latencies cover each tool's last 1000 completed calls
+ */
+export interface ToolStats {
+  calls: number;
+  errors: number;
+  cancelled: number;
+  latencyMs: { p50: number | null; p90: number | null; p99: number | null; max: number | null; sum: number };
+}
+
+/**
+ * The Windows host's status report (GET /status on statusPort)
+ */
+export interface HostStatus {
+  pid: number;
+  /** Seconds since the host started */
+  uptime: number;
+  chrome: { reachable: boolean; host: string; port: number; error?: string };
+  clients: Array<{
+    id: number;
+    address: string | null;
+    profile: string;
+    software: string | null;
+    protocolVersion: number | null;
+    connectedAt: string;
+    latencyMs: number | null;
+  }>;
+  inFlight: Array<{ requestId: string; tool: string; clientId: number | null; correlationId: string; elapsedMs: number }>;
+  tabs: Array<{ id: string; title: string; url: string; attached: boolean }>;
+  tools: Record<string, ToolStats>;
+}
+
 /**
  * Log levels for bridge components
  */
@@ -35,9 +123,70 @@ export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
  * Log entry structure
  */
 export interface LogEntry {
+  /** ISO 8601 */
+  timestamp: string;
   level: LogLevel;
   component: 'windows-host' | 'wsl-bridge';
   message: string;
-  timestamp: number;
+  /** Set on entries that belong to a tool call */
+  correlationId?: string;
   data?: unknown;
 }
+
+/**
+ * Bridge configuration, as loaded by config.js in windows-host and wsl-bridge
+ * (defaults < config.json < environment variables < command-line flags)
+ */
+export interface BridgeConfig {
+  wsPort: number;
+  listenAddress: string;
+  windowsHost: string | null;
+  cdpHost: string;
+  cdpPort: number;
+  statusPort: number;
+  cdpTimeout: number;
+  toolTimeout: number;
+  requestDeadline: number;
+  reconnectDelay: number;
+  maxReconnectAttempts: number;
+  logLevel: LogLevel;
+  logFile: string;
+  logMaxSize: number;
+  logMaxFiles: number;
+  socketPath: string;
+  policyFile: string;
+  recordFile: string | null;
+  recordRedact: boolean;
+}
+
+/**
+ * First line of each session in a recording (MCP server --record)
+ */
+export interface RecordedSession {
+  type: 'session';
+  version: 1;
+  startedAt: string;
+  host: { name: string; version: string } | null;
+  profile: string;
+}
+
+/**
+ * One finished tools/call in a recording. Exactly one of result, error and
+ * cancelled is set; image data is replaced by { $ref, sha256 }, with $ref
+ * relative to the session file.
+ */
+export interface RecordedCall {
+  type: 'call';
+  seq: number;
+  /** Milliseconds from the start of the session to the call */
+  at: number;
+  durationMs: number;
+  correlationId: string;
+  tool: string;
+  arguments: Record<string, unknown>;
+  result?: unknown;
+  error?: string;
+  errorData?: Record<string, unknown>;
+  cancelled?: true;
+  reason?: string;
+}
@@ -63,7 +63,8 @@ Write-Host "Step 4: Verifying installation..." -ForegroundColor Yellow
 $Checks = @(
     @{ Path = $BatchPath; Name = "Launcher script" },
     @{ Path = $ManifestPath; Name = "Chrome manifest" },
-    @{ Path = "$HostDir\src\index.js"; Name = "Host entry point" }
+    @{ Path = "$HostDir\src\index.js"; Name = "Host entry point" },
+    @{ Path = "$HostDir\node_modules\@claude-chrome-bridge\shared\lib\config.js"; Name = "Shared package (copy shared\ next to windows-host\, then run npm install)" }
 )
 
 $AllGood = $true
@@ -0,0 +1,120 @@
+/**
+ * Accessibility Tree Renderer
+ * Turns the raw nodes from Accessibility.getFullAXTree into a compact,
+ * indented text outline for read_page
+ */
+
+// Roles an agent can act on; the 'interactive' filter keeps only these
+const INTERACTIVE_ROLES = new Set([
+  'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'combobox',
+  'listbox', 'option', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab',
+  'switch', 'slider', 'spinbutton', 'treeitem', 'scrollbar'
+]);
+
+// Wrapper roles that add nothing to the outline unless they carry a name
+const GENERIC_ROLES = new Set(['generic', 'none', 'presentation', 'LineBreak']);
+
+// Boolean/tristate properties worth showing, in display order
+const STATE_PROPERTIES = [
+  'focused', 'disabled', 'checked', 'pressed', 'selected', 'expanded',
+  'required', 'readonly', 'invalid', 'modal', 'multiselectable'
+];
+
+const MAX_TEXT_LENGTH = 100;
+
+function truncate(text) {
+  return text.length > MAX_TEXT_LENGTH ? `${text.substring(0, MAX_TEXT_LENGTH)}…` : text;
+}
+
+function describeStates(node) {
+  const props = new Map((node.properties || []).map(p => [p.name, p.value?.value]));
+  const states = [];
+
+  for (const name of STATE_PROPERTIES) {
+    const value = props.get(name);
+    if (value === true || value === 'true') {
+      states.push(name);
+    } else if (value === 'mixed') {
+      states.push(`${name}=mixed`);
+    } else if (name === 'expanded' && value === false) {
+      states.push('collapsed');
+    } else if (name === 'invalid' && value && value !== 'false') {
+      states.push(`invalid=${value}`);
+    }
+  }
+
+  if (props.has('level')) {
+    states.push(`level=${props.get('level')}`);
+  }
+  return states;
+}
+
+// One outline line for a node, without indentation or ref
+function formatNode(node) {
+  const role = node.role?.value || 'unknown';
+  const name = node.name?.value;
+  const value = node.value?.value;
+  const states = describeStates(node);
+
+  let line = role;
+  if (name) {
+    line += ` ${JSON.stringify(truncate(String(name)))}`;
+  }
+  if (value !== undefined && value !== '' && value !== name) {
+    line += ` value=${JSON.stringify(truncate(String(value)))}`;
+  }
+  if (states.length > 0) {
+    line += ` [${states.join(', ')}]`;
+  }
+  return line;
+}
+
+/**
+ * Flatten an AX tree into outline lines starting from rootNodeId.
+ *
+ * Ignored nodes and unnamed generic wrappers are skipped (their children are
+ * hoisted), as is static text that only repeats its parent's name. `depth`
+ * counts rendered levels below the root.
+ *
+ * @returns {Array<{level: number, text: string, backendNodeId?: number}>}
+ */
+function buildOutline(nodes, { rootNodeId, filter = 'all', depth = Infinity } = {}) {
+  const byId = new Map(nodes.map(node => [node.nodeId, node]));
+  const root = rootNodeId ? byId.get(rootNodeId) : nodes[0];
+  const lines = [];
+
+  function visit(node, level, parentName) {
+    const role = node.role?.value;
+    const name = node.name?.value;
+
+    const skip = node.ignored
+      || role === 'InlineTextBox'
+      || (GENERIC_ROLES.has(role) && !name)
+      || (role === 'StaticText' && (!name || !name.trim() || name === parentName))
+      || (filter === 'interactive' && !INTERACTIVE_ROLES.has(role) && node !== root);
+
+    let childLevel = level;
+    if (!skip) {
+      lines.push({ level, text: formatNode(node), backendNodeId: node.backendDOMNodeId });
+      childLevel = level + 1;
+    }
+
+    if (childLevel > depth) {
+      return;
+    }
+
+    for (const childId of node.childIds || []) {
+      const child = byId.get(childId);
+      if (child) {
+        visit(child, childLevel, skip ? parentName : name);
+      }
+    }
+  }
+
+  if (root) {
+    visit(root, 0, undefined);
+  }
+  return lines;
+}
+
+module.exports = { buildOutline, formatNode, INTERACTIVE_ROLES };
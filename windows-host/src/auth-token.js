@@ -0,0 +1,45 @@
+/**
+ * Auth Token
+ * Creates the shared secret WSL clients must present when opening the
+ * WebSocket connection. It is written once to the user's profile, where WSL
+ * can read it through /mnt/c.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const BRIDGE_DIR = path.join(process.env.USERPROFILE || process.env.HOME || process.cwd(), '.claude-chrome-bridge');
+const TOKEN_FILE = path.join(BRIDGE_DIR, 'token');
+const TOKEN_BYTES = 32;
+
+// Read the token from disk, generating and saving a new one on first run
+function loadOrCreateToken(tokenFile = TOKEN_FILE) {
+  try {
+    const token = fs.readFileSync(tokenFile, 'utf8').trim();
+    if (token) {
+      return { token, path: tokenFile, created: false };
+    }
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw new Error(`Failed to read auth token from ${tokenFile}: ${e.message}`);
+    }
+  }
+
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+  fs.mkdirSync(path.dirname(tokenFile), { recursive: true });
+  fs.writeFileSync(tokenFile, `${token}\n`, { mode: 0o600 });
+  return { token, path: tokenFile, created: true };
+}
+
+// Constant-time comparison of a presented token against the expected one
+function tokensMatch(expected, presented) {
+  if (typeof presented !== 'string') {
+    return false;
+  }
+  const a = Buffer.from(expected);
+  const b = Buffer.from(presented);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { loadOrCreateToken, tokensMatch, BRIDGE_DIR, TOKEN_FILE };
@@ -1,32 +1,240 @@
 /**
  * Chrome DevTools Protocol (CDP) Client
- * Connects to Chrome's remote debugging port and executes browser commands
+ * Keeps a single browser-level connection to Chrome's remote debugging port
+ * and multiplexes one flattened session per tab over it
  */
 
 const WebSocket = require('ws');
 const http = require('http');
 
+const COMMAND_TIMEOUT = 30000;
+const TAB_PROBE_TIMEOUT = 2000; // a tab blocked by a dialog doesn't answer until it's closed
+
+// Key definitions for Input.dispatchKeyEvent: key, code, Windows virtual key code and text
+const KEY_DEFINITIONS = {
+  Enter: { key: 'Enter', code: 'Enter', keyCode: 13, text: '\r' },
+  Tab: { key: 'Tab', code: 'Tab', keyCode: 9 },
+  Backspace: { key: 'Backspace', code: 'Backspace', keyCode: 8 },
+  Delete: { key: 'Delete', code: 'Delete', keyCode: 46 },
+  Escape: { key: 'Escape', code: 'Escape', keyCode: 27 },
+  Space: { key: ' ', code: 'Space', keyCode: 32, text: ' ' },
+  ArrowLeft: { key: 'ArrowLeft', code: 'ArrowLeft', keyCode: 37 },
+  ArrowUp: { key: 'ArrowUp', code: 'ArrowUp', keyCode: 38 },
+  ArrowRight: { key: 'ArrowRight', code: 'ArrowRight', keyCode: 39 },
+  ArrowDown: { key: 'ArrowDown', code: 'ArrowDown', keyCode: 40 },
+  Home: { key: 'Home', code: 'Home', keyCode: 36 },
+  End: { key: 'End', code: 'End', keyCode: 35 },
+  PageUp: { key: 'PageUp', code: 'PageUp', keyCode: 33 },
+  PageDown: { key: 'PageDown', code: 'PageDown', keyCode: 34 },
+  Insert: { key: 'Insert', code: 'Insert', keyCode: 45 },
+  Shift: { key: 'Shift', code: 'ShiftLeft', keyCode: 16 },
+  Control: { key: 'Control', code: 'ControlLeft', keyCode: 17 },
+  Alt: { key: 'Alt', code: 'AltLeft', keyCode: 18 },
+  Meta: { key: 'Meta', code: 'MetaLeft', keyCode: 91 },
+  ContextMenu: { key: 'ContextMenu', code: 'ContextMenu', keyCode: 93 },
+  '-': { key: '-', code: 'Minus', keyCode: 189, text: '-' },
+  '=': { key: '=', code: 'Equal', keyCode: 187, text: '=' },
+  '[': { key: '[', code: 'BracketLeft', keyCode: 219, text: '[' },
+  ']': { key: ']', code: 'BracketRight', keyCode: 221, text: ']' },
+  '\\': { key: '\\', code: 'Backslash', keyCode: 220, text: '\\' },
+  ';': { key: ';', code: 'Semicolon', keyCode: 186, text: ';' },
+  "'": { key: "'", code: 'Quote', keyCode: 222, text: "'" },
+  ',': { key: ',', code: 'Comma', keyCode: 188, text: ',' },
+  '.': { key: '.', code: 'Period', keyCode: 190, text: '.' },
+  '/': { key: '/', code: 'Slash', keyCode: 191, text: '/' },
+  '`': { key: '`', code: 'Backquote', keyCode: 192, text: '`' }
+};
+
+for (let i = 0; i < 26; i++) {
+  const letter = String.fromCharCode(97 + i);
+  KEY_DEFINITIONS[letter] = { key: letter, code: `Key${letter.toUpperCase()}`, keyCode: 65 + i, text: letter };
+}
+for (let i = 0; i <= 9; i++) {
+  KEY_DEFINITIONS[String(i)] = { key: String(i), code: `Digit${i}`, keyCode: 48 + i, text: String(i) };
+}
+for (let i = 1; i <= 12; i++) {
+  KEY_DEFINITIONS[`F${i}`] = { key: `F${i}`, code: `F${i}`, keyCode: 111 + i };
+}
+
+// Lower-case spellings accepted in key chords (e.g. "ctrl+shift+t", "cmd+a", "esc")
+const KEY_ALIASES = {
+  ctrl: 'Control', control: 'Control',
+  shift: 'Shift',
+  alt: 'Alt', option: 'Alt', opt: 'Alt',
+  meta: 'Meta', cmd: 'Meta', command: 'Meta', super: 'Meta', win: 'Meta', windows: 'Meta',
+  enter: 'Enter', return: 'Enter',
+  tab: 'Tab',
+  backspace: 'Backspace',
+  delete: 'Delete', del: 'Delete',
+  escape: 'Escape', esc: 'Escape',
+  space: 'Space', ' ': 'Space',
+  left: 'ArrowLeft', arrowleft: 'ArrowLeft',
+  up: 'ArrowUp', arrowup: 'ArrowUp',
+  right: 'ArrowRight', arrowright: 'ArrowRight',
+  down: 'ArrowDown', arrowdown: 'ArrowDown',
+  home: 'Home', end: 'End',
+  pageup: 'PageUp', pgup: 'PageUp', page_up: 'PageUp',
+  pagedown: 'PageDown', pgdn: 'PageDown', page_down: 'PageDown',
+  insert: 'Insert', ins: 'Insert',
+  contextmenu: 'ContextMenu', menu: 'ContextMenu',
+  minus: '-', equal: '=', comma: ',', period: '.', slash: '/'
+};
+
+// Bits for the `modifiers` field of Input.dispatch*Event
+const MODIFIER_BITS = { Alt: 1, Control: 2, Meta: 4, Shift: 8 };
+
+function getKeyDefinition(name) {
+  const definition = KEY_DEFINITIONS[name]
+    || KEY_DEFINITIONS[KEY_ALIASES[name.toLowerCase()]]
+    || KEY_DEFINITIONS[name.toLowerCase()];
+  if (!definition) {
+    throw new Error(`Unknown key: ${name}`);
+  }
+  return definition;
+}
+
+// Parse "ctrl+shift+t" into its modifier definitions and final key definition
+function parseKeyChord(chord) {
+  const keys = chord.split('+').filter(Boolean).map(getKeyDefinition);
+  const key = keys.pop();
+  if (!key) {
+    throw new Error(`Invalid key chord "${chord}"`);
+  }
+  const modifiers = keys.filter(def => MODIFIER_BITS[def.key]);
+
+  if (modifiers.length !== keys.length) {
+    throw new Error(`Invalid key chord "${chord}": only the last key may be a non-modifier`);
+  }
+  return { modifiers, key };
+}
+
+// Modifier bitmask for a string like "ctrl+shift"
+function parseModifiers(modifiers) {
+  if (!modifiers) {
+    return 0;
+  }
+  return modifiers.split('+').filter(Boolean).reduce((bits, name) => {
+    const definition = getKeyDefinition(name.trim());
+    if (!MODIFIER_BITS[definition.key]) {
+      throw new Error(`Not a modifier key: ${name}`);
+    }
+    return bits | MODIFIER_BITS[definition.key];
+  }, 0);
+}
+
+// `buttons` bitmask value for each mouse button
+const MOUSE_BUTTON_BITS = { left: 1, right: 2, middle: 4 };
+const DRAG_STEPS = 10;
+
+// A flattened CDP session attached to one tab (target)
+class CDPSession {
+  constructor(client, targetId, sessionId) {
+    this.client = client;
+    this.targetId = targetId;
+    this.sessionId = sessionId;
+    this.pendingCommands = new Map();
+    this.enabledDomains = new Set();
+    this.eventHandlers = new Map(); // method -> [handler]
+    this.children = new Map(); // sessionId -> auto-attached worker/iframe session
+    this.parent = null;
+    this.detached = false;
+  }
+
+  // Send a CDP command routed to this tab
+  send(method, params = {}) {
+    if (this.detached) {
+      return Promise.reject(new Error(`Tab ${this.targetId} is no longer attached`));
+    }
+    return this.client.sendRaw(method, params, this.sessionId, this.pendingCommands);
+  }
+
+  // Enable a domain (e.g. 'Page', 'Runtime') once for the lifetime of the session
+  async enable(domain, params = {}) {
+    if (this.enabledDomains.has(domain)) {
+      return;
+    }
+
+    this.enabledDomains.add(domain);
+    try {
+      await this.send(`${domain}.enable`, params);
+    } catch (e) {
+      this.enabledDomains.delete(domain);
+      throw e;
+    }
+  }
+
+  // Subscribe to a CDP event emitted by this tab; returns an unsubscribe function
+  on(method, handler) {
+    if (!this.eventHandlers.has(method)) {
+      this.eventHandlers.set(method, []);
+    }
+    this.eventHandlers.get(method).push(handler);
+
+    return () => {
+      const handlers = this.eventHandlers.get(method);
+      const index = handlers.indexOf(handler);
+      if (index !== -1) {
+        handlers.splice(index, 1);
+      }
+    };
+  }
+
+  handleEvent(method, params) {
+    const handlers = this.eventHandlers.get(method);
+    if (!handlers) {
+      return;
+    }
+    for (const handler of handlers.slice()) {
+      handler(params);
+    }
+  }
+
+  // Called by the client when Chrome drops the session or the connection closes
+  detach(reason) {
+    this.detached = true;
+    for (const { reject } of this.pendingCommands.values()) {
+      reject(new Error(reason));
+    }
+    this.pendingCommands.clear();
+  }
+}
+
 class CDPClient {
-  constructor(port = 9222) {
+  // commandTimeout: how long to wait for Chrome to answer a command, in ms
+  constructor({ host = 'localhost', port = 9222, commandTimeout = COMMAND_TIMEOUT } = {}) {
+    this.host = host;
     this.port = port;
+    this.commandTimeout = commandTimeout;
     this.ws = null;
+    this.connecting = null;
     this.messageId = 0;
-    this.pendingCommands = new Map();
-    this.targetId = null;
-    this.sessionId = null;
+    this.pendingCommands = new Map(); // browser-level commands
+    this.sessions = new Map(); // targetId -> CDPSession
+    this.sessionsById = new Map(); // sessionId -> CDPSession
+    this.attaching = new Map(); // targetId -> Promise<CDPSession>
+    this.lastTargetId = null;
+    this.targets = new Map(); // targetId -> TargetInfo, kept current by Target discovery events
+    this.activeTargetId = null;
+    this.discoveryReady = false;
+    this.sessionAttachedHandler = null;
   }
 
-  // Get list of available targets (tabs) from Chrome
-  async getTargets() {
+  // Set handler run for every newly attached tab session, before it is used
+  onSessionAttached(handler) {
+    this.sessionAttachedHandler = handler;
+  }
+
+  // GET a JSON endpoint from Chrome's debugging HTTP server
+  httpGetJSON(path) {
     return new Promise((resolve, reject) => {
-      const req = http.get(`http://localhost:${this.port}/json/list`, (res) => {
+      const req = http.get(`http://${this.host}:${this.port}${path}`, (res) => {
         let data = '';
         res.on('data', chunk => data += chunk);
         res.on('end', () => {
           try {
             resolve(JSON.parse(data));
           } catch (e) {
-            reject(new Error(`Failed to parse targets: ${e.message}`));
+            reject(new Error(`Failed to parse ${path}: ${e.message}`));
           }
         });
       });
@@ -38,132 +246,419 @@ class CDPClient {
     });
   }
 
-  // Connect to a specific target (tab)
-  async connectToTarget(targetId) {
-    const targets = await this.getTargets();
-    const target = targetId
-      ? targets.find(t => t.id === targetId)
-      : targets.find(t => t.type === 'page');
+  // Get list of available targets (tabs) from Chrome
+  async getTargets() {
+    return this.httpGetJSON('/json/list');
+  }
+
+  // Open the browser-level WebSocket if it isn't already open
+  async connect() {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      return;
+    }
 
-    if (!target) {
-      throw new Error('No suitable target found');
+    if (!this.connecting) {
+      this.connecting = this.openBrowserSocket().then(() => this.discoverTargets()).finally(() => {
+        this.connecting = null;
+      });
     }
 
-    this.targetId = target.id;
+    return this.connecting;
+  }
+
+  async openBrowserSocket() {
+    const version = await this.httpGetJSON('/json/version');
 
     return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(target.webSocketDebuggerUrl);
+      const ws = new WebSocket(version.webSocketDebuggerUrl, { perMessageDeflate: false });
 
-      this.ws.on('open', () => {
-        resolve(target);
+      ws.on('open', () => {
+        this.ws = ws;
+        resolve();
       });
 
-      this.ws.on('message', (data) => {
+      ws.on('message', (data) => {
         this.handleMessage(JSON.parse(data.toString()));
       });
 
-      this.ws.on('error', (err) => {
+      ws.on('error', (err) => {
         reject(err);
       });
 
-      this.ws.on('close', () => {
-        this.ws = null;
-        this.targetId = null;
+      ws.on('close', () => {
+        this.handleClose(ws);
       });
     });
   }
 
+  // Subscribe to Target events; Chrome replays targetCreated for existing targets first
+  async discoverTargets() {
+    await this.sendRaw('Target.setDiscoverTargets', { discover: true }, null, this.pendingCommands);
+    this.discoveryReady = true;
+  }
+
+  // Browser-level Target events: keep the target list and the focused tab current
+  handleTargetEvent(method, params) {
+    switch (method) {
+      case 'Target.targetCreated':
+        this.targets.set(params.targetInfo.targetId, params.targetInfo);
+        // New tabs open in the foreground; those replayed during discovery don't count
+        if (this.discoveryReady && params.targetInfo.type === 'page') {
+          this.activeTargetId = params.targetInfo.targetId;
+        }
+        break;
+      case 'Target.targetInfoChanged':
+        this.targets.set(params.targetInfo.targetId, params.targetInfo);
+        break;
+      case 'Target.targetDestroyed':
+        this.targets.delete(params.targetId);
+        if (this.activeTargetId === params.targetId) {
+          this.activeTargetId = null;
+        }
+        break;
+    }
+  }
+
   handleMessage(message) {
-    if (message.id !== undefined && this.pendingCommands.has(message.id)) {
-      const { resolve, reject } = this.pendingCommands.get(message.id);
-      this.pendingCommands.delete(message.id);
+    const session = message.sessionId ? this.sessionsById.get(message.sessionId) : null;
+
+    if (message.id !== undefined) {
+      const pendingCommands = message.sessionId ? session?.pendingCommands : this.pendingCommands;
+      if (!pendingCommands || !pendingCommands.has(message.id)) {
+        return;
+      }
+
+      const { resolve, reject } = pendingCommands.get(message.id);
+      pendingCommands.delete(message.id);
 
       if (message.error) {
         reject(new Error(message.error.message));
       } else {
         resolve(message.result);
       }
+      return;
+    }
+
+    if (!message.sessionId) {
+      this.handleTargetEvent(message.method, message.params);
+    }
+
+    if (message.method === 'Target.detachedFromTarget') {
+      this.dropSession(message.params.sessionId, 'Tab was detached');
+    }
+
+    // Targets auto-attached to a tab (workers, out-of-process iframes) become child sessions
+    if (message.method === 'Target.attachedToTarget' && session) {
+      const { sessionId, targetInfo } = message.params;
+      const child = new CDPSession(this, targetInfo.targetId, sessionId);
+      child.parent = session;
+      session.children.set(sessionId, child);
+      this.sessionsById.set(sessionId, child);
+    }
+
+    if (session) {
+      session.handleEvent(message.method, message.params);
     }
   }
 
-  // Send a CDP command
-  async send(method, params = {}) {
+  handleClose(ws) {
+    if (this.ws !== ws) {
+      return;
+    }
+    this.ws = null;
+
+    for (const { reject } of this.pendingCommands.values()) {
+      reject(new Error('Connection to Chrome closed'));
+    }
+    this.pendingCommands.clear();
+
+    for (const session of this.sessionsById.values()) {
+      session.detach('Connection to Chrome closed');
+    }
+    this.sessions.clear();
+    this.sessionsById.clear();
+    this.lastTargetId = null;
+    this.targets.clear();
+    this.activeTargetId = null;
+    this.discoveryReady = false;
+  }
+
+  dropSession(sessionId, reason) {
+    const session = this.sessionsById.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    for (const childId of session.children.keys()) {
+      this.dropSession(childId, reason);
+    }
+
+    session.detach(reason);
+    this.sessionsById.delete(sessionId);
+
+    if (session.parent) {
+      session.parent.children.delete(sessionId);
+      return;
+    }
+
+    this.sessions.delete(session.targetId);
+    if (this.lastTargetId === session.targetId) {
+      this.lastTargetId = null;
+    }
+  }
+
+  // Send a command over the browser socket, optionally scoped to a session
+  sendRaw(method, params, sessionId, pendingCommands) {
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      throw new Error('Not connected to Chrome');
+      return Promise.reject(new Error('Not connected to Chrome'));
     }
 
     const id = ++this.messageId;
 
     return new Promise((resolve, reject) => {
-      this.pendingCommands.set(id, { resolve, reject });
-
-      this.ws.send(JSON.stringify({
-        id,
-        method,
-        params
-      }));
-
-      // Timeout after 30 seconds
-      setTimeout(() => {
-        if (this.pendingCommands.has(id)) {
-          this.pendingCommands.delete(id);
+      const timer = setTimeout(() => {
+        if (pendingCommands.has(id)) {
+          pendingCommands.delete(id);
           reject(new Error(`Command ${method} timed out`));
         }
-      }, 30000);
+      }, this.commandTimeout);
+
+      pendingCommands.set(id, {
+        resolve: (result) => { clearTimeout(timer); resolve(result); },
+        reject: (error) => { clearTimeout(timer); reject(error); }
+      });
+
+      const message = { id, method, params };
+      if (sessionId) {
+        message.sessionId = sessionId;
+      }
+      this.ws.send(JSON.stringify(message));
     });
   }
 
-  // High-level browser operations
+  // Send a browser-level CDP command (Target.*, Browser.*)
+  async send(method, params = {}) {
+    await this.connect();
+    return this.sendRaw(method, params, null, this.pendingCommands);
+  }
+
+  // Get the session for a tab, attaching on first use.
+  // Without a tabId, reuses the last tab used or falls back to the first page.
+  async getSession(tabId) {
+    await this.connect();
 
-  async getTabsInfo() {
-    const targets = await this.getTargets();
-    return targets
-      .filter(t => t.type === 'page')
-      .map(t => ({
-        id: t.id,
-        title: t.title,
-        url: t.url
+    const targetId = tabId ? String(tabId) : await this.resolveDefaultTarget();
+    const session = await this.ensureSession(targetId);
+
+    this.lastTargetId = targetId;
+    return session;
+  }
+
+  // Attach to a target (once) without making it the default tab
+  async ensureSession(targetId) {
+    const session = this.sessions.get(targetId);
+    if (session) {
+      return session;
+    }
+
+    if (!this.attaching.has(targetId)) {
+      this.attaching.set(targetId, this.attachToTarget(targetId).finally(() => {
+        this.attaching.delete(targetId);
       }));
+    }
+    return this.attaching.get(targetId);
   }
 
-  async navigate(url) {
-    if (!this.ws) {
-      await this.connectToTarget();
+  async resolveDefaultTarget() {
+    if (this.lastTargetId && this.sessions.has(this.lastTargetId)) {
+      return this.lastTargetId;
+    }
+    if (this.activeTargetId && this.targets.has(this.activeTargetId)) {
+      return this.activeTargetId;
+    }
+
+    const { targetInfos } = await this.send('Target.getTargets');
+    const target = targetInfos.find(t => t.type === 'page');
+    if (!target) {
+      throw new Error('No suitable target found');
     }
-    return await this.send('Page.navigate', { url });
+    return target.targetId;
   }
 
-  async takeScreenshot(options = {}) {
-    if (!this.ws) {
-      await this.connectToTarget();
+  async attachToTarget(targetId) {
+    const { sessionId } = await this.send('Target.attachToTarget', { targetId, flatten: true });
+    const session = new CDPSession(this, targetId, sessionId);
+    this.sessions.set(targetId, session);
+    this.sessionsById.set(sessionId, session);
+
+    if (this.sessionAttachedHandler) {
+      await this.sessionAttachedHandler(session);
     }
+    return session;
+  }
 
-    const result = await this.send('Page.captureScreenshot', {
-      format: options.format || 'png',
-      quality: options.quality || 80
-    });
+  // High-level browser operations, each routed to the session for tabId
+
+  // List page targets with loading state, opener and which one is focused.
+  // Titles and URLs come from Target.getTargets; every tab is probed at once
+  // for readyState and visibility. The tab whose document has focus wins, else
+  // the last tab Target events saw activated if it is visible, else the first
+  // visible tab.
+  async getTabsInfo() {
+    await this.connect();
+
+    const { targetInfos } = await this.send('Target.getTargets');
+    const pages = targetInfos.filter(t => t.type === 'page');
+    // A tab that is closing, can't be inspected (e.g. chrome:// pages) or doesn't answer is left unknown
+    const results = await Promise.all(pages.map(target => this.probeTab(target.targetId).catch(() => null)));
+    const probes = new Map(pages.map((target, i) => [target.targetId, results[i]])); // targetId -> { readyState, visible, focused }
+
+    const tabs = pages.map(target => ({
+      id: target.targetId,
+      title: target.title,
+      url: target.url,
+      openerId: target.openerId || null,
+      loading: probes.get(target.targetId) ? probes.get(target.targetId).readyState !== 'complete' : null
+    }));
+
+    const visible = tabs.filter(tab => probes.get(tab.id)?.visible);
+    const focused = tabs.find(tab => probes.get(tab.id)?.focused);
+    const tracked = visible.find(tab => tab.id === this.activeTargetId);
+    const active = focused || tracked || visible[0];
+    if (active) {
+      this.activeTargetId = active.id;
+    }
+
+    for (const tab of tabs) {
+      tab.active = tab.id === this.activeTargetId;
+    }
+    return tabs;
+  }
+
+  // Read a tab's readyState, visibility and focus within TAB_PROBE_TIMEOUT.
+  // A tab without a session gets a bare one for the probe (none of the
+  // monitors onSessionAttached sets up), detached again afterwards.
+  async probeTab(targetId) {
+    let session = this.sessions.get(targetId);
+    const temporary = !session;
+    if (temporary) {
+      const { sessionId } = await this.send('Target.attachToTarget', { targetId, flatten: true });
+      session = new CDPSession(this, targetId, sessionId);
+      this.sessionsById.set(sessionId, session);
+    }
 
-    return result.data; // base64 encoded image
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Tab ${targetId} did not answer within ${TAB_PROBE_TIMEOUT}ms`)), TAB_PROBE_TIMEOUT);
+      });
+      const { result } = await Promise.race([
+        session.send('Runtime.evaluate', {
+          expression: `({
+            readyState: document.readyState,
+            visible: document.visibilityState === 'visible',
+            focused: document.hasFocus()
+          })`,
+          returnByValue: true
+        }),
+        timeout
+      ]);
+      return result.value;
+    } finally {
+      clearTimeout(timer);
+      if (temporary) {
+        this.sessionsById.delete(session.sessionId);
+        session.detach('Tab probe finished');
+        this.send('Target.detachFromTarget', { sessionId: session.sessionId }).catch(() => {});
+      }
+    }
   }
 
-  async getPageContent() {
-    if (!this.ws) {
-      await this.connectToTarget();
+  // Bring a tab to the front of its window
+  async activateTab(tabId) {
+    const targetId = String(tabId);
+    await this.send('Target.activateTarget', { targetId });
+    this.activeTargetId = targetId;
+    this.lastTargetId = targetId;
+  }
+
+  // Capture the viewport, a viewport-relative clip rect or the full page.
+  // maxSize caps the longest edge of the output image, downscaling as needed.
+  async takeScreenshot(tabId, options = {}) {
+    const session = await this.getSession(tabId);
+    const format = options.format || 'png';
+
+    const { cssVisualViewport, cssContentSize } = await session.send('Page.getLayoutMetrics');
+    const { result } = await session.send('Runtime.evaluate', {
+      expression: 'window.devicePixelRatio',
+      returnByValue: true
+    });
+    const devicePixelRatio = result.value || 1;
+
+    // Clip rects are in CSS pixels relative to the document, not the viewport
+    let clip;
+    if (options.fullPage) {
+      clip = { x: 0, y: 0, width: cssContentSize.width, height: cssContentSize.height };
+    } else if (options.clip) {
+      clip = {
+        x: cssVisualViewport.pageX + options.clip.x,
+        y: cssVisualViewport.pageY + options.clip.y,
+        width: options.clip.width,
+        height: options.clip.height
+      };
+    } else {
+      clip = {
+        x: cssVisualViewport.pageX,
+        y: cssVisualViewport.pageY,
+        width: cssVisualViewport.clientWidth,
+        height: cssVisualViewport.clientHeight
+      };
+    }
+
+    if (!(clip.width > 0 && clip.height > 0)) {
+      throw new Error('Screenshot area is empty');
     }
 
-    const result = await this.send('Runtime.evaluate', {
+    let scale = 1;
+    const longestEdge = Math.max(clip.width, clip.height) * devicePixelRatio;
+    if (options.maxSize && longestEdge > options.maxSize) {
+      scale = options.maxSize / longestEdge;
+    }
+
+    const params = {
+      format,
+      clip: { ...clip, scale },
+      captureBeyondViewport: !!options.fullPage
+    };
+    if (format !== 'png') {
+      params.quality = options.quality ?? 80;
+    }
+
+    const screenshot = await session.send('Page.captureScreenshot', params);
+
+    return {
+      data: screenshot.data, // base64 encoded image
+      format,
+      width: Math.round(clip.width * devicePixelRatio * scale),
+      height: Math.round(clip.height * devicePixelRatio * scale),
+      cssPixelsPerImagePixel: 1 / (devicePixelRatio * scale)
+    };
+  }
+
+  async getPageContent(tabId) {
+    const session = await this.getSession(tabId);
+
+    const result = await session.send('Runtime.evaluate', {
       expression: 'document.documentElement.outerHTML'
     });
 
     return result.result.value;
   }
 
-  async executeScript(script) {
-    if (!this.ws) {
-      await this.connectToTarget();
-    }
+  async executeScript(tabId, script) {
+    const session = await this.getSession(tabId);
 
-    const result = await this.send('Runtime.evaluate', {
+    const result = await session.send('Runtime.evaluate', {
       expression: script,
       returnByValue: true
     });
@@ -175,43 +670,183 @@ class CDPClient {
     return result.result.value;
   }
 
-  async click(x, y) {
-    if (!this.ws) {
-      await this.connectToTarget();
+  // Click at (x, y). clickCount 2 or 3 sends the 1..n press/release sequence
+  // a real double/triple click produces; modifiers is a string like "ctrl+shift"
+  async click(tabId, x, y, options = {}) {
+    const session = await this.getSession(tabId);
+    const button = options.button || 'left';
+    const clickCount = options.clickCount || 1;
+    const modifiers = parseModifiers(options.modifiers);
+
+    await session.send('Input.dispatchMouseEvent', { type: 'mouseMoved', x, y, modifiers });
+
+    for (let count = 1; count <= clickCount; count++) {
+      await session.send('Input.dispatchMouseEvent', {
+        type: 'mousePressed',
+        x, y,
+        modifiers,
+        button,
+        buttons: MOUSE_BUTTON_BITS[button],
+        clickCount: count
+      });
+
+      await session.send('Input.dispatchMouseEvent', {
+        type: 'mouseReleased',
+        x, y,
+        modifiers,
+        button,
+        buttons: 0,
+        clickCount: count
+      });
     }
+  }
 
-    await this.send('Input.dispatchMouseEvent', {
-      type: 'mousePressed',
+  async mouseMove(tabId, x, y, options = {}) {
+    const session = await this.getSession(tabId);
+
+    await session.send('Input.dispatchMouseEvent', {
+      type: 'mouseMoved',
       x, y,
+      modifiers: parseModifiers(options.modifiers)
+    });
+  }
+
+  // Press at `from`, move in steps to `to` with the left button held, release
+  async drag(tabId, from, to, options = {}) {
+    const session = await this.getSession(tabId);
+    const modifiers = parseModifiers(options.modifiers);
+    const [startX, startY] = from;
+    const [endX, endY] = to;
+
+    await session.send('Input.dispatchMouseEvent', { type: 'mouseMoved', x: startX, y: startY, modifiers });
+    await session.send('Input.dispatchMouseEvent', {
+      type: 'mousePressed',
+      x: startX, y: startY,
+      modifiers,
       button: 'left',
+      buttons: 1,
       clickCount: 1
     });
 
-    await this.send('Input.dispatchMouseEvent', {
+    for (let step = 1; step <= DRAG_STEPS; step++) {
+      await session.send('Input.dispatchMouseEvent', {
+        type: 'mouseMoved',
+        x: startX + (endX - startX) * step / DRAG_STEPS,
+        y: startY + (endY - startY) * step / DRAG_STEPS,
+        modifiers,
+        button: 'left',
+        buttons: 1
+      });
+    }
+
+    await session.send('Input.dispatchMouseEvent', {
       type: 'mouseReleased',
-      x, y,
+      x: endX, y: endY,
+      modifiers,
       button: 'left',
+      buttons: 0,
       clickCount: 1
     });
   }
 
-  async type(text) {
-    if (!this.ws) {
-      await this.connectToTarget();
-    }
+  async type(tabId, text) {
+    const session = await this.getSession(tabId);
 
     for (const char of text) {
-      await this.send('Input.dispatchKeyEvent', {
+      // Newlines and tabs need real key presses to submit forms or move focus
+      if (char === '\n' || char === '\r') {
+        await this.dispatchKey(session, KEY_DEFINITIONS.Enter, 0);
+        continue;
+      }
+      if (char === '\t') {
+        await this.dispatchKey(session, KEY_DEFINITIONS.Tab, 0);
+        continue;
+      }
+
+      await session.send('Input.dispatchKeyEvent', {
         type: 'keyDown',
         text: char
       });
-      await this.send('Input.dispatchKeyEvent', {
+      await session.send('Input.dispatchKeyEvent', {
         type: 'keyUp',
         text: char
       });
     }
   }
 
+  // Press a key chord such as "Enter", "ctrl+a" or "shift+Tab"; several chords
+  // may be given separated by spaces ("ctrl+a Delete"), and the whole sequence
+  // is repeated `repeat` times
+  async pressKey(tabId, keys, repeat = 1) {
+    const session = await this.getSession(tabId);
+    const chords = keys.trim().split(/\s+/).map(parseKeyChord);
+
+    for (let i = 0; i < repeat; i++) {
+      for (const { modifiers, key } of chords) {
+        let bits = 0;
+        for (const modifier of modifiers) {
+          bits |= MODIFIER_BITS[modifier.key];
+          await session.send('Input.dispatchKeyEvent', {
+            type: 'rawKeyDown',
+            key: modifier.key,
+            code: modifier.code,
+            windowsVirtualKeyCode: modifier.keyCode,
+            modifiers: bits
+          });
+        }
+
+        await this.dispatchKey(session, key, bits);
+
+        for (const modifier of modifiers.slice().reverse()) {
+          bits &= ~MODIFIER_BITS[modifier.key];
+          await session.send('Input.dispatchKeyEvent', {
+            type: 'keyUp',
+            key: modifier.key,
+            code: modifier.code,
+            windowsVirtualKeyCode: modifier.keyCode,
+            modifiers: bits
+          });
+        }
+      }
+    }
+  }
+
+  // Key down/up for one key; only produces text when no command modifier is held
+  async dispatchKey(session, definition, modifiers) {
+    const shifted = (modifiers & MODIFIER_BITS.Shift) && definition.text && /^[a-z]$/.test(definition.key);
+    const key = shifted ? definition.key.toUpperCase() : definition.key;
+    const producesText = definition.text && !(modifiers & (MODIFIER_BITS.Control | MODIFIER_BITS.Alt | MODIFIER_BITS.Meta));
+    const text = producesText ? (shifted ? definition.text.toUpperCase() : definition.text) : undefined;
+
+    await session.send('Input.dispatchKeyEvent', {
+      type: text ? 'keyDown' : 'rawKeyDown',
+      key,
+      code: definition.code,
+      windowsVirtualKeyCode: definition.keyCode,
+      text,
+      unmodifiedText: producesText ? definition.text : undefined,
+      modifiers
+    });
+    await session.send('Input.dispatchKeyEvent', {
+      type: 'keyUp',
+      key,
+      code: definition.code,
+      windowsVirtualKeyCode: definition.keyCode,
+      modifiers
+    });
+  }
+
+  async scroll(tabId, x, y, deltaY) {
+    const session = await this.getSession(tabId);
+
+    await session.send('Input.dispatchMouseEvent', {
+      type: 'mouseWheel',
+      x, y,
+      deltaX: 0,
+      deltaY
+    });
+  }
+
   async createTab(url) {
     return new Promise((resolve, reject) => {
       // Chrome's /json/new endpoint requires PUT method
@@ -220,7 +855,7 @@ class CDPClient {
         : `/json/new`;
 
       const options = {
-        hostname: 'localhost',
+        hostname: this.host,
         port: this.port,
         path: endpoint,
         method: 'PUT'
@@ -243,23 +878,24 @@ class CDPClient {
     });
   }
 
-  async closeTab(targetId) {
-    return new Promise((resolve, reject) => {
-      const req = http.get(`http://localhost:${this.port}/json/close/${targetId}`, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => resolve(data));
-      });
-      req.on('error', reject);
-    });
+  async closeTab(tabId) {
+    const targetId = String(tabId);
+    await this.connect();
+    if (!this.targets.has(targetId)) {
+      throw new Error(`No tab with id ${targetId}`);
+    }
+
+    const { success } = await this.send('Target.closeTarget', { targetId });
+    if (!success) {
+      throw new Error(`Chrome refused to close tab ${targetId}`);
+    }
   }
 
   disconnect() {
     if (this.ws) {
       this.ws.close();
-      this.ws = null;
     }
   }
 }
 
-module.exports = { CDPClient };
+module.exports = { CDPClient, CDPSession };
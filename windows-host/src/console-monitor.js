@@ -0,0 +1,170 @@
+/**
+ * Console Monitor
+ * Records a tab's console output, uncaught exceptions and browser log entries
+ * (including those from its workers) into a ring buffer
+ */
+
+const MAX_ENTRIES = 500;
+const MAX_STACK_FRAMES = 10;
+
+// What console_logs returns when the call doesn't pass types
+const DEFAULT_TYPES = ['log', 'warn', 'error', 'info'];
+
+// consoleAPICalled / Log.entryAdded level names -> the types console_logs filters on
+const TYPE_ALIASES = {
+  warning: 'warn',
+  verbose: 'debug'
+};
+
+// Render a Runtime.RemoteObject as a short string
+function formatRemoteObject(obj) {
+  if (obj.type === 'string') {
+    return obj.value;
+  }
+  if (obj.type === 'undefined') {
+    return 'undefined';
+  }
+  if (obj.unserializableValue) {
+    return obj.unserializableValue;
+  }
+  if (obj.value !== undefined) {
+    return JSON.stringify(obj.value);
+  }
+  if (obj.preview) {
+    const props = obj.preview.properties.map(p => `${p.name}: ${p.type === 'string' ? JSON.stringify(p.value) : p.value}`);
+    const body = props.join(', ') + (obj.preview.overflow ? ', …' : '');
+    return obj.preview.subtype === 'array' ? `[${body}]` : `${obj.className === 'Object' ? '' : obj.className + ' '}{${body}}`;
+  }
+  return obj.description || obj.type;
+}
+
+// Flatten a Runtime.StackTrace into "fn (url:line:col)" strings with 1-based positions
+function formatStackTrace(stackTrace) {
+  if (!stackTrace) {
+    return undefined;
+  }
+  return stackTrace.callFrames.slice(0, MAX_STACK_FRAMES).map(frame =>
+    `${frame.functionName || '<anonymous>'} (${frame.url}:${frame.lineNumber + 1}:${frame.columnNumber + 1})`
+  );
+}
+
+// Source location of the top stack frame, if any
+function topFrameLocation(stackTrace) {
+  const frame = stackTrace?.callFrames?.[0];
+  if (!frame) {
+    return {};
+  }
+  return { url: frame.url, lineNumber: frame.lineNumber + 1, columnNumber: frame.columnNumber + 1 };
+}
+
+class ConsoleMonitor {
+  constructor(session, maxEntries = MAX_ENTRIES) {
+    this.session = session;
+    this.maxEntries = maxEntries;
+    this.entries = [];
+  }
+
+  // Enable Runtime and Log on the tab and on every worker/iframe it spawns
+  async start() {
+    this.session.on('Target.attachedToTarget', (params) => {
+      const child = this.session.children.get(params.sessionId);
+      if (child) {
+        this.watch(child, params.targetInfo).catch(() => {});
+      }
+    });
+
+    await this.watch(this.session, null);
+    await this.session.send('Target.setAutoAttach', {
+      autoAttach: true,
+      waitForDebuggerOnStart: false,
+      flatten: true
+    });
+  }
+
+  async watch(session, targetInfo) {
+    const origin = targetInfo ? { targetType: targetInfo.type, targetUrl: targetInfo.url } : {};
+
+    session.on('Runtime.consoleAPICalled', params => this.onConsoleAPICalled(params, origin));
+    session.on('Runtime.exceptionThrown', params => this.onExceptionThrown(params, origin));
+    session.on('Log.entryAdded', params => this.onLogEntry(params, origin));
+
+    await session.enable('Runtime');
+    if (!targetInfo || targetInfo.type === 'iframe') {
+      await session.enable('Log');
+    }
+  }
+
+  onConsoleAPICalled(params, origin) {
+    const args = params.args.map(formatRemoteObject);
+    this.push({
+      type: TYPE_ALIASES[params.type] || params.type,
+      source: 'console-api',
+      text: args.join(' '),
+      args,
+      timestamp: params.timestamp,
+      ...topFrameLocation(params.stackTrace),
+      stackTrace: formatStackTrace(params.stackTrace),
+      ...origin
+    });
+  }
+
+  onExceptionThrown(params, origin) {
+    const details = params.exceptionDetails;
+    this.push({
+      type: 'error',
+      source: 'exception',
+      text: details.exception?.description || details.text,
+      timestamp: params.timestamp,
+      url: details.url,
+      lineNumber: details.lineNumber + 1,
+      columnNumber: details.columnNumber + 1,
+      stackTrace: formatStackTrace(details.stackTrace),
+      ...origin
+    });
+  }
+
+  onLogEntry(params, origin) {
+    const entry = params.entry;
+    this.push({
+      type: TYPE_ALIASES[entry.level] || entry.level,
+      source: entry.source,
+      text: entry.text,
+      timestamp: entry.timestamp,
+      url: entry.url,
+      lineNumber: entry.lineNumber !== undefined ? entry.lineNumber + 1 : undefined,
+      stackTrace: formatStackTrace(entry.stackTrace),
+      ...origin
+    });
+  }
+
+  push({ timestamp, ...entry }) {
+    this.entries.push({ ...entry, time: new Date(timestamp).toISOString() });
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+  }
+
+  // Return buffered entries matching the given filters, newest last
+  query(filters = {}) {
+    const limit = filters.limit || 50;
+    const types = filters.types || DEFAULT_TYPES;
+
+    let logs = this.entries.filter(entry => {
+      if (!types.includes(entry.type)) return false;
+      if (filters.since && entry.time <= filters.since) return false;
+      return true;
+    });
+
+    const total = logs.length;
+    const truncated = logs.length > limit;
+    logs = logs.slice(-limit);
+
+    if (filters.clear) {
+      this.entries = [];
+    }
+
+    return { logs, total, truncated };
+  }
+}
+
+module.exports = { ConsoleMonitor };
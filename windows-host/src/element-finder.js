@@ -0,0 +1,271 @@
+/**
+ * Element Finder
+ * Resolves find queries written as CSS selectors, XPath expressions or plain
+ * language ("the login button") to ranked element references
+ */
+
+const { INTERACTIVE_ROLES } = require('./accessibility-tree');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Words that describe what kind of element is wanted, mapped to AX roles
+const ROLE_WORDS = {
+  button: ['button'],
+  btn: ['button'],
+  link: ['link'],
+  input: ['textbox', 'searchbox', 'combobox', 'spinbutton'],
+  field: ['textbox', 'searchbox', 'combobox', 'spinbutton'],
+  textbox: ['textbox', 'searchbox'],
+  textarea: ['textbox'],
+  box: ['textbox', 'searchbox', 'combobox', 'checkbox'],
+  checkbox: ['checkbox'],
+  radio: ['radio'],
+  dropdown: ['combobox', 'listbox'],
+  select: ['combobox', 'listbox'],
+  option: ['option'],
+  tab: ['tab'],
+  menu: ['menu', 'menubar', 'menuitem'],
+  heading: ['heading'],
+  header: ['heading', 'banner'],
+  title: ['heading'],
+  image: ['image', 'img'],
+  icon: ['image', 'img'],
+  switch: ['switch'],
+  toggle: ['switch', 'checkbox'],
+  slider: ['slider'],
+  dialog: ['dialog', 'alertdialog'],
+  table: ['table', 'grid'],
+  list: ['list', 'listbox']
+};
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'for', 'with', 'that', 'this', 'which', 'says', 'labeled', 'labelled', 'named', 'called', 'element', 'page']);
+
+function looksLikeXPath(query) {
+  return /^(\/|\(\/|\.\/)/.test(query.trim());
+}
+
+function tokenize(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}@.]+/u).filter(Boolean);
+}
+
+// Everything a node is known by: accessible name plus the label/placeholder/title it came from
+function nodeTexts(node) {
+  const texts = [];
+  if (node.name?.value) {
+    texts.push(node.name.value);
+  }
+  for (const source of node.name?.sources || []) {
+    const value = source.value?.value || source.attributeValue?.value;
+    if (value && !texts.includes(value)) {
+      texts.push(value);
+    }
+  }
+  if (node.description?.value) {
+    texts.push(node.description.value);
+  }
+  if (node.value?.value !== undefined && node.value.value !== '') {
+    texts.push(String(node.value.value));
+  }
+  return texts.map(text => text.toLowerCase());
+}
+
+// Score a node against the query; 0 means no match
+function scoreNode(node, phrase, terms, wantedRoles) {
+  const role = node.role?.value;
+  const texts = nodeTexts(node);
+  let score = 0;
+
+  if (terms.length > 0) {
+    const name = (node.name?.value || '').toLowerCase().trim();
+    if (name === phrase) {
+      score += 10;
+    } else if (texts.some(text => text.includes(phrase))) {
+      score += 6;
+    }
+
+    const joined = texts.join(' ');
+    const matched = terms.filter(term => joined.includes(term)).length;
+    if (matched === 0) {
+      return 0;
+    }
+    score += 4 * (matched / terms.length);
+  }
+
+  if (wantedRoles.size > 0) {
+    if (wantedRoles.has(role)) {
+      score += 3;
+    } else if (terms.length === 0) {
+      return 0;
+    } else {
+      score -= 2;
+    }
+  }
+
+  if (INTERACTIVE_ROLES.has(role)) {
+    score += 1;
+  }
+  return Math.max(score, 0);
+}
+
+// Rank AX nodes against a plain-language description
+function rankNodes(nodes, query) {
+  const words = tokenize(query).filter(word => !STOP_WORDS.has(word));
+  const wantedRoles = new Set();
+  const terms = [];
+
+  for (const word of words) {
+    if (ROLE_WORDS[word]) {
+      ROLE_WORDS[word].forEach(role => wantedRoles.add(role));
+    } else {
+      terms.push(word);
+    }
+  }
+  const phrase = terms.join(' ');
+
+  const parentOf = new Map();
+  for (const node of nodes) {
+    for (const childId of node.childIds || []) {
+      parentOf.set(childId, node);
+    }
+  }
+
+  const best = new Map(); // backendDOMNodeId -> { node, score, order }
+  nodes.forEach((node, order) => {
+    const role = node.role?.value;
+    if (node.ignored || role === 'InlineTextBox' || !node.backendDOMNodeId) {
+      return;
+    }
+
+    let target = node;
+    let score = scoreNode(node, phrase, terms, wantedRoles);
+
+    // Visible text counts toward the element that contains it
+    if (role === 'StaticText') {
+      target = parentOf.get(node.nodeId);
+      while (target && (target.ignored || !target.backendDOMNodeId || target.role?.value === 'StaticText')) {
+        target = parentOf.get(target.nodeId);
+      }
+      if (!target) {
+        return;
+      }
+      const targetRole = target.role?.value;
+      score = Math.max(0, score - 1) + (wantedRoles.has(targetRole) ? 3 : 0);
+    }
+
+    if (score <= 0) {
+      return;
+    }
+
+    const previous = best.get(target.backendDOMNodeId);
+    if (!previous || previous.score < score) {
+      best.set(target.backendDOMNodeId, { node: target, score, order: previous ? previous.order : order });
+    }
+  });
+
+  return Array.from(best.values()).sort((a, b) => b.score - a.score || a.order - b.order);
+}
+
+// limit comes straight from tool arguments and ends up in page script, so only a bounded integer gets through
+function clampLimit(limit) {
+  return Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+}
+
+// box is in the pixels of the tab's last screenshot, the space computer
+// coordinates use; cssBox is the same box in CSS pixels
+async function describeMatch(session, ref, extra) {
+  const cssBox = await session.refs.getBoundingBox(ref);
+  const scale = session.screenshotScale || 1;
+  const box = cssBox && {
+    x: Math.round(cssBox.x / scale),
+    y: Math.round(cssBox.y / scale),
+    width: Math.round(cssBox.width / scale),
+    height: Math.round(cssBox.height / scale)
+  };
+  return { ref, ...extra, box, cssBox };
+}
+
+async function findBySelector(session, query, limit, xpath) {
+  const expression = xpath
+    ? `(() => {
+        const result = document.evaluate(${JSON.stringify(query)}, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        const elements = [];
+        for (let i = 0; i < result.snapshotLength && elements.length < ${limit}; i++) {
+          const node = result.snapshotItem(i);
+          elements.push(node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+        }
+        return elements;
+      })()`
+    : `(() => {
+        try {
+          return Array.from(document.querySelectorAll(${JSON.stringify(query)})).slice(0, ${limit});
+        } catch (e) {
+          return [];
+        }
+      })()`;
+
+  const matches = await session.refs.queryAll(expression);
+  const elements = [];
+
+  try {
+    for (const { ref, objectId } of matches) {
+      const { result } = await session.send('Runtime.callFunctionOn', {
+        objectId,
+        functionDeclaration: `function() {
+          return {
+            tag: this.tagName.toLowerCase(),
+            text: this.innerText?.trim().substring(0, 100),
+            value: this.value
+          };
+        }`,
+        returnByValue: true
+      });
+      elements.push(await describeMatch(session, ref, result.value));
+    }
+  } finally {
+    // The refs hold backendNodeIds; the page needn't keep these objects alive
+    await Promise.all(matches.map(({ objectId }) => session.send('Runtime.releaseObject', { objectId }).catch(() => {})));
+  }
+  return elements;
+}
+
+async function findByDescription(session, query, limit) {
+  const { nodes = [] } = await session.send('Accessibility.getFullAXTree');
+  const ranked = rankNodes(nodes, query).slice(0, limit);
+
+  const elements = [];
+  for (const { node, score } of ranked) {
+    const ref = session.refs.register(node.backendDOMNodeId);
+    elements.push(await describeMatch(session, ref, {
+      role: node.role?.value,
+      name: node.name?.value,
+      value: node.value?.value,
+      score: Math.round(score * 10) / 10
+    }));
+  }
+
+  // Elements that are not rendered go last; they can't be clicked
+  return elements.sort((a, b) => (a.box ? 0 : 1) - (b.box ? 0 : 1));
+}
+
+/**
+ * Find elements for a query. XPath is used for expressions starting with
+ * "/" or "./"; otherwise the query is tried as a CSS selector and, when that
+ * is invalid or matches nothing, as a description matched against the
+ * accessibility tree.
+ */
+async function findElements(session, query, limit = DEFAULT_LIMIT) {
+  limit = clampLimit(limit);
+  if (looksLikeXPath(query)) {
+    return { strategy: 'xpath', elements: await findBySelector(session, query, limit, true) };
+  }
+
+  const bySelector = await findBySelector(session, query, limit, false);
+  if (bySelector.length > 0) {
+    return { strategy: 'css', elements: bySelector };
+  }
+
+  return { strategy: 'semantic', elements: await findByDescription(session, query, limit) };
+}
+
+module.exports = { findElements, rankNodes };
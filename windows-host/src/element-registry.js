@@ -0,0 +1,198 @@
+/**
+ * Element Registry
+ * Hands out stable per-tab element references (ref_N) backed by CDP
+ * backendNodeIds, so a ref from find or read_page keeps pointing at the same
+ * element in later form_input and computer calls
+ */
+
+// Oldest refs are dropped beyond this, for pages that never navigate
+const MAX_REFS = 10000;
+
+function detachedError(ref) {
+  return new Error(`Element ${ref} is no longer attached to the page (it was removed or the page navigated). Use find or read_page to get a fresh reference.`);
+}
+
+class ElementRegistry {
+  constructor(session) {
+    this.session = session;
+    this.nextId = 1;
+    this.firstLiveId = 1; // refs numbered below this were dropped
+    this.refs = new Map(); // ref -> backendNodeId, oldest first
+    this.byBackendNodeId = new Map(); // backendNodeId -> ref
+  }
+
+  // Forget every ref when the main frame navigates; the elements are gone
+  async start() {
+    this.session.on('Page.frameNavigated', ({ frame }) => {
+      if (!frame.parentId) {
+        this.clear();
+      }
+    });
+    await this.session.enable('Page');
+  }
+
+  clear() {
+    this.refs.clear();
+    this.byBackendNodeId.clear();
+    this.firstLiveId = this.nextId;
+  }
+
+  // Get the ref for a DOM node, allocating one on first sight
+  register(backendNodeId) {
+    let ref = this.byBackendNodeId.get(backendNodeId);
+    if (!ref) {
+      ref = `ref_${this.nextId++}`;
+      this.refs.set(ref, backendNodeId);
+      this.byBackendNodeId.set(backendNodeId, ref);
+      if (this.refs.size > MAX_REFS) {
+        const [oldest, oldestNodeId] = this.refs.entries().next().value;
+        this.refs.delete(oldest);
+        this.byBackendNodeId.delete(oldestNodeId);
+        this.firstLiveId = Number(oldest.slice('ref_'.length)) + 1;
+      }
+    }
+    return ref;
+  }
+
+  // Register the element a Runtime.RemoteObject points at
+  async registerObject(objectId) {
+    const { node } = await this.session.send('DOM.describeNode', { objectId });
+    return this.register(node.backendNodeId);
+  }
+
+  // Evaluate an expression returning an array of elements and register each one
+  async queryAll(expression) {
+    const { result, exceptionDetails } = await this.session.send('Runtime.evaluate', { expression });
+    if (exceptionDetails) {
+      throw new Error(exceptionDetails.exception?.description || exceptionDetails.text);
+    }
+
+    const { result: properties } = await this.session.send('Runtime.getProperties', {
+      objectId: result.objectId,
+      ownProperties: true
+    });
+
+    const objectIds = properties
+      .filter(prop => /^\d+$/.test(prop.name) && prop.value?.objectId)
+      .sort((a, b) => Number(a.name) - Number(b.name))
+      .map(prop => prop.value.objectId);
+
+    const elements = [];
+    for (const objectId of objectIds) {
+      elements.push({ ref: await this.registerObject(objectId), objectId });
+    }
+
+    await this.session.send('Runtime.releaseObject', { objectId: result.objectId });
+    return elements;
+  }
+
+  backendNodeIdFor(ref) {
+    const backendNodeId = this.refs.get(ref);
+    const id = /^ref_(\d+)$/.exec(ref)?.[1];
+    if (backendNodeId === undefined && id && Number(id) < this.firstLiveId) {
+      throw detachedError(ref);
+    }
+    if (backendNodeId === undefined) {
+      throw new Error(`Unknown element reference: ${ref}. Use find or read_page to get a reference for this tab.`);
+    }
+    return backendNodeId;
+  }
+
+  /**
+   * Resolve a ref to a live RemoteObject and call fn(objectId), failing if the
+   * element has left the document. The object is released once fn settles.
+   */
+  async withObject(ref, fn) {
+    const backendNodeId = this.backendNodeIdFor(ref);
+
+    let object;
+    try {
+      ({ object } = await this.session.send('DOM.resolveNode', { backendNodeId }));
+    } catch (e) {
+      throw detachedError(ref);
+    }
+
+    try {
+      const { result } = await this.session.send('Runtime.callFunctionOn', {
+        objectId: object.objectId,
+        functionDeclaration: 'function() { return this.isConnected; }',
+        returnByValue: true
+      });
+      if (!result.value) {
+        throw detachedError(ref);
+      }
+      return await fn(object.objectId);
+    } finally {
+      await this.session.send('Runtime.releaseObject', { objectId: object.objectId }).catch(() => {});
+    }
+  }
+
+  // The backendNodeId of a ref whose element is still in the document
+  async resolve(ref) {
+    const backendNodeId = this.backendNodeIdFor(ref);
+    await this.withObject(ref, () => {});
+    return { backendNodeId };
+  }
+
+  // Call a function declaration with the element as `this`, returning its value
+  async callFunction(ref, functionDeclaration, args = []) {
+    const result = await this.withObject(ref, objectId => this.session.send('Runtime.callFunctionOn', {
+      objectId,
+      functionDeclaration,
+      arguments: args.map(value => ({ value })),
+      returnByValue: true,
+      awaitPromise: true
+    }));
+
+    if (result.exceptionDetails) {
+      throw new Error(result.exceptionDetails.exception?.description || result.exceptionDetails.text);
+    }
+
+    return result.result.value;
+  }
+
+  // Viewport-relative bounding box of the element's border box, or null if it isn't rendered
+  async getBoundingBox(ref) {
+    const backendNodeId = this.backendNodeIdFor(ref);
+
+    let model;
+    try {
+      ({ model } = await this.session.send('DOM.getBoxModel', { backendNodeId }));
+    } catch (e) {
+      return null;
+    }
+
+    const xs = [model.border[0], model.border[2], model.border[4], model.border[6]];
+    const ys = [model.border[1], model.border[3], model.border[5], model.border[7]];
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return {
+      x: Math.round(x),
+      y: Math.round(y),
+      width: Math.round(Math.max(...xs) - x),
+      height: Math.round(Math.max(...ys) - y)
+    };
+  }
+
+  // Scroll the element into view and return the centre of its border box (CSS pixels)
+  async getClickPoint(ref) {
+    const { backendNodeId } = await this.resolve(ref);
+
+    await this.session.send('DOM.scrollIntoViewIfNeeded', { backendNodeId });
+
+    let model;
+    try {
+      ({ model } = await this.session.send('DOM.getBoxModel', { backendNodeId }));
+    } catch (e) {
+      throw new Error(`Element ${ref} is not rendered (it has no layout box), so it cannot be clicked`);
+    }
+
+    const quad = model.border;
+    return {
+      x: (quad[0] + quad[2] + quad[4] + quad[6]) / 4,
+      y: (quad[1] + quad[3] + quad[5] + quad[7]) / 4
+    };
+  }
+}
+
+module.exports = { ElementRegistry };
@@ -0,0 +1,80 @@
+/**
+ * Handshake
+ * The hello exchange that opens every bridge connection: the client announces
+ * its protocol version, and the host answers with its own version and the
+ * tools, computer actions and limits available to that connection.
+ *
+ * The hellos follow HelloMessage in shared/src/types.ts.
+ */
+
+const { PROTOCOL_VERSION, HELLO_MESSAGE_ID } = require('@claude-chrome-bridge/shared/protocol');
+const { name, version } = require('../package.json');
+
+// Why a client hello can't be accepted, or null if it can
+function checkClientHello(message) {
+  if (message.protocolVersion === PROTOCOL_VERSION) {
+    return null;
+  }
+  const client = message.software ? `${message.software.name} ${message.software.version}` : 'The WSL bridge';
+  const newer = message.protocolVersion > PROTOCOL_VERSION;
+  return `${client} speaks bridge protocol v${message.protocolVersion}, but this Windows host (${name} ${version}) speaks v${PROTOCOL_VERSION}. ` +
+    `Update the ${newer ? 'Windows host' : 'WSL bridge'} so both sides run the same release.`;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Narrow what the host offers a connection to what the client says it can use.
+ * Returns { capabilities, unsupported }, where unsupported lists the client's
+ * tools this host doesn't have, or { error } when the client can't work with
+ * this host at all. A client whose hello has no capabilities (an earlier
+ * release of protocol v2) gets the whole offer.
+ */
+function negotiateCapabilities(message, offered, hostTools) {
+  const client = message.capabilities;
+  if (client === undefined) {
+    return { capabilities: offered, unsupported: [] };
+  }
+  if (!client || !isStringList(client.tools) || !isStringList(client.computerActions) ||
+      !isStringList(client.limits?.screenshotFormats)) {
+    return { error: 'The WSL bridge sent malformed capabilities in its hello. Update the WSL bridge so both sides run the same release.' };
+  }
+
+  const tools = offered.tools.filter(tool => client.tools.includes(tool));
+  if (tools.length === 0) {
+    return { error: `None of the WSL bridge's tools (${client.tools.join(', ') || 'none'}) are available to this connection on the Windows host (${name} ${version}).` };
+  }
+  const screenshotFormats = offered.limits.screenshotFormats.filter(format => client.limits.screenshotFormats.includes(format));
+  if (tools.includes('computer') && screenshotFormats.length === 0) {
+    return { error: `The WSL bridge accepts screenshots as ${client.limits.screenshotFormats.join(', ') || 'nothing'}, but this Windows host (${name} ${version}) produces ${offered.limits.screenshotFormats.join(', ')}.` };
+  }
+
+  return {
+    capabilities: {
+      tools,
+      computerActions: offered.computerActions.filter(action => client.computerActions.includes(action)),
+      limits: { ...offered.limits, screenshotFormats }
+    },
+    unsupported: client.tools.filter(tool => !hostTools.includes(tool))
+  };
+}
+
+function isHello(message) {
+  return message?.type === 'hello';
+}
+
+// The host's reply; pass `error` to refuse the connection instead
+function hostHello({ profile, capabilities, error } = {}) {
+  return {
+    type: 'hello',
+    id: HELLO_MESSAGE_ID,
+    role: 'host',
+    protocolVersion: PROTOCOL_VERSION,
+    software: { name, version },
+    ...(error ? { error } : { profile, capabilities })
+  };
+}
+
+module.exports = { checkClientHello, negotiateCapabilities, isHello, hostHello };
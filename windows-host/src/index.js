@@ -3,104 +3,356 @@
  * Uses Chrome DevTools Protocol (CDP) to control Chrome
  */
 
-const fs = require('fs');
-const path = require('path');
+const { loadConfig } = require('@claude-chrome-bridge/shared/config');
+const { logger, newCorrelationId, redactToolArguments } = require('@claude-chrome-bridge/shared/logger');
 
-const EARLY_LOG = path.join(process.env.USERPROFILE || process.env.TEMP || 'C:\\Temp', 'claude-bridge-startup.log');
-fs.appendFileSync(EARLY_LOG, `[${new Date().toISOString()}] CDP Host starting, PID: ${process.pid}\n`);
+logger.configure({ component: 'windows-host', prefix: 'CDP Host' });
 
-const { WebSocketServer } = require('./websocket-server');
-const { CDPClient } = require('./cdp-client');
-
-const WS_PORT = 19222;
-const CDP_PORT = 9222;
-const LOG_FILE = path.join(process.env.TEMP || 'C:\\Temp', 'claude-chrome-bridge.log');
+// Ports, timeouts and paths: defaults < config.json < env vars < command-line flags
+let config;
+try {
+  const loaded = loadConfig({ argv: process.argv.slice(2) });
+  if (loaded.args.length > 0) {
+    throw new Error(`Unknown argument: ${loaded.args[0]}`);
+  }
+  config = loaded.config;
+  logger.useConfig(loaded);
+} catch (e) {
+  logger.error(e.message);
+  process.exit(1);
+}
 
-function log(level, message, data = null) {
-  const timestamp = new Date().toISOString();
-  const logLine = `[${timestamp}] [CDP Host] [${level.toUpperCase()}] ${message}`;
-  console.error(logLine);
-  if (data) console.error(JSON.stringify(data, null, 2));
+logger.info(`CDP Host starting, PID: ${process.pid}`);
 
-  try {
-    const fileLog = data ? `${logLine}\n${JSON.stringify(data, null, 2)}\n` : `${logLine}\n`;
-    fs.appendFileSync(LOG_FILE, fileLog);
-  } catch (e) {}
+const { WebSocketServer } = require('./websocket-server');
+const { StatusServer } = require('./status-server');
+const { ToolMetrics } = require('./metrics');
+const { loadOrCreateToken, BRIDGE_DIR } = require('./auth-token');
+const { loadOrCreateCertificate } = require('./tls-certificate');
+const { CDPClient } = require('./cdp-client');
+const { NetworkMonitor } = require('./network-monitor');
+const { ConsoleMonitor } = require('./console-monitor');
+const { ElementRegistry } = require('./element-registry');
+const { buildOutline } = require('./accessibility-tree');
+const { findElements } = require('./element-finder');
+const { navigate, checkAbsoluteUrl, DEFAULT_TIMEOUT: NAVIGATION_TIMEOUT } = require('./navigation');
+const { UrlPolicy } = require('./url-policy');
+const { resolveProfile, checkPermission, grantsFor, DEFAULT_PROFILE, PROFILE_ORDER, PROFILE_HEADER } = require('./permissions');
+const { checkClientHello, negotiateCapabilities, isHello, hostHello } = require('./handshake');
+
+const READ_PAGE_MAX_CHARS = 20000;
+const MAX_KEY_REPEAT = 100;
+const SCREENSHOT_FORMATS = ['png', 'jpeg', 'webp'];
+const SCREENSHOT_MAX_SIZE = 1568; // longest edge in pixels; 0 disables downscaling
+
+// Tools that don't act on a page's content, so the tab's current URL isn't checked
+const TAB_MANAGEMENT_TOOLS = new Set(['tabs_context_mcp', 'tabs_create_mcp', 'tabs_close_mcp', 'tabs_activate_mcp', 'navigate']);
+// Tools that can make the page navigate on its own (links, form submits, scripts)
+const INTERACTION_TOOLS = new Set(['computer', 'form_input', 'javascript_tool']);
+
+// computer click actions -> mouse button and click count
+const CLICK_BUTTONS = { right_click: 'right', middle_click: 'middle' };
+const CLICK_COUNTS = { double_click: 2, triple_click: 3 };
+// Resolve after ms, or reject early if the signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Cancelled'));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Cancelled'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 class CDPHost {
   constructor() {
-    this.wsServer = new WebSocketServer(WS_PORT);
-    this.cdp = new CDPClient(CDP_PORT);
+    this.auth = loadOrCreateToken();
+    this.tls = config.tls ? loadOrCreateCertificate(BRIDGE_DIR) : null;
+    this.wsServer = new WebSocketServer(config.wsPort, this.auth.token, this.tls, config.listenAddress);
+    this.policy = UrlPolicy.load(config.policyFile);
+    this.cdp = new CDPClient({ host: config.cdpHost, port: config.cdpPort, commandTimeout: config.cdpTimeout });
+    this.statusServer = new StatusServer(config.statusPort, this.auth.token, this.tls, config.listenAddress);
+    this.metrics = new ToolMetrics(grantsFor(PROFILE_ORDER[PROFILE_ORDER.length - 1]).tools);
     this.clients = new Map(); // clientId -> client
+    this.clientInfo = new Map(); // clientId -> { profile, software, protocolVersion }
     this.requestToClient = new Map(); // requestId -> clientId
+    this.inFlight = new Map(); // requestId -> { controller, tool, correlationId, started }
     this.clientCounter = 0;
     this.chromeConnected = false;
+    this.startedAt = Date.now();
+
+    this.cdp.onSessionAttached((session) => this.setupSession(session));
+  }
+
+  // Start per-tab recorders as soon as a tab is attached
+  async setupSession(session) {
+    session.refs = new ElementRegistry(session);
+    session.console = new ConsoleMonitor(session);
+    session.network = new NetworkMonitor(session);
+
+    for (const [name, monitor] of [['console', session.console], ['network', session.network], ['element ref', session.refs]]) {
+      try {
+        await monitor.start();
+      } catch (e) {
+        logger.warn(`Failed to start ${name} capture for tab ${session.targetId}: ${e.message}`);
+      }
+    }
+
+    if (this.policy.enabled) {
+      try {
+        await this.watchPolicy(session);
+      } catch (e) {
+        logger.warn(`Failed to watch navigations for tab ${session.targetId}: ${e.message}`);
+      }
+    }
+  }
+
+  // Record main-frame navigations that land on a URL the policy blocks
+  async watchPolicy(session) {
+    session.policyViolation = null;
+    session.on('Page.frameNavigated', ({ frame }) => {
+      if (frame.parentId) return;
+      const verdict = this.policy.check(frame.url);
+      if (verdict.allowed) {
+        session.policyViolation = null;
+        return;
+      }
+      session.policyViolation = { url: frame.url, reason: verdict.reason, rule: verdict.rule ?? null, time: new Date().toISOString() };
+      logger.warn(`Tab ${session.targetId} navigated to ${frame.url}, which the URL policy blocks`);
+    });
+    await session.enable('Page');
   }
 
   async start() {
-    log('info', 'Starting CDP Host...');
-    fs.appendFileSync(EARLY_LOG, `[${new Date().toISOString()}] Starting CDP Host\n`);
+    logger.info('Starting CDP Host...');
 
     // Test Chrome connection
     try {
-      const tabs = await this.cdp.getTabsInfo();
+      const tabs = (await this.cdp.getTargets()).filter(t => t.type === 'page');
       this.chromeConnected = true;
-      log('info', `Connected to Chrome, found ${tabs.length} tabs`);
-      fs.appendFileSync(EARLY_LOG, `[${new Date().toISOString()}] Chrome connected, ${tabs.length} tabs\n`);
+      logger.info(`Connected to Chrome, found ${tabs.length} tabs`);
     } catch (e) {
-      log('warn', `Chrome not available: ${e.message}`);
-      fs.appendFileSync(EARLY_LOG, `[${new Date().toISOString()}] Chrome not available: ${e.message}\n`);
+      logger.warn(`Chrome not available: ${e.message}`);
     }
 
     // Set up WebSocket server for WSL connections (supports multiple clients)
     this.wsServer.onConnection((client) => {
+      let profile;
+      try {
+        profile = resolveProfile(client.headers[PROFILE_HEADER.toLowerCase()], config.maxProfile);
+      } catch (e) {
+        logger.warn(`Refusing WSL bridge connection: ${e.message}`);
+        client.close(1008, e.message);
+        return;
+      }
+
       const clientId = ++this.clientCounter;
       this.clients.set(clientId, client);
-      log('info', `WSL bridge connected (client ${clientId}, total: ${this.clients.size})`);
+      this.clientInfo.set(clientId, { profile, software: null, protocolVersion: null });
+      logger.info(`WSL bridge connected (client ${clientId}, profile ${profile}, total: ${this.clients.size})`);
+
+      let greeted = false;
 
       client.onMessage(async (message) => {
-        log('debug', 'Received from WSL', { clientId, id: message.id, method: message.payload?.method });
+        logger.debug('Received from WSL', { clientId, id: message.id, method: message.payload?.method, correlationId: message.correlationId });
+
+        if (isHello(message)) {
+          greeted = this.handleHello(clientId, client, message, profile);
+          return;
+        }
+        if (!greeted) {
+          // A bridge from before the handshake existed; it can't understand our replies reliably
+          client.send({
+            id: message.id,
+            direction: 'from-chrome',
+            timestamp: Date.now(),
+            payload: {
+              requestId: message.id,
+              error: 'The WSL bridge did not send a hello handshake, so it is older than this Windows host. Update the WSL bridge so both sides run the same release.'
+            }
+          });
+          return;
+        }
+
+        if (message.payload?.method === 'notifications/cancelled') {
+          this.cancelRequest(clientId, message.payload.params || {});
+          return;
+        }
         // Track which client sent this request
         this.requestToClient.set(String(message.id), clientId);
-        await this.handleToolCall(message);
+        await this.handleToolCall(message, profile);
       });
 
       client.onClose(() => {
-        log('info', `WSL bridge disconnected (client ${clientId}, remaining: ${this.clients.size - 1})`);
+        logger.info(`WSL bridge disconnected (client ${clientId}, remaining: ${this.clients.size - 1})`);
         this.clients.delete(clientId);
-        // Clean up any pending requests from this client
+        this.clientInfo.delete(clientId);
+        // Clean up any pending requests from this client, stopping work nobody will read
         for (const [reqId, cId] of this.requestToClient) {
           if (cId === clientId) {
             this.requestToClient.delete(reqId);
+            this.inFlight.get(reqId)?.controller.abort();
           }
         }
       });
 
       client.onError((error) => {
-        log('error', `WebSocket client ${clientId} error`, { error: error.message });
+        logger.error(`WebSocket client ${clientId} error`, { error: error.message });
       });
     });
 
+    this.wsServer.onDeadClient((client) => {
+      const clientId = Array.from(this.clients).find(([, c]) => c === client)?.[0];
+      logger.warn(`WSL bridge client ${clientId} stopped answering heartbeats; dropping the connection`);
+    });
+
+    this.wsServer.onRejected((address, tokenPresented) => {
+      if (tokenPresented) {
+        logger.warn(`Rejected WebSocket connection from ${address}: invalid auth token`);
+      } else {
+        // WSL host discovery probes without a token
+        logger.debug(`Rejected WebSocket connection from ${address}: no auth token`);
+      }
+    });
+
     this.wsServer.onError((error) => {
-      log('error', 'WebSocket server error', { error: error.message });
+      logger.error('WebSocket server error', { error: error.message });
     });
 
     this.wsServer.start();
-    log('info', `WebSocket server listening on port ${WS_PORT}`);
-    fs.appendFileSync(EARLY_LOG, `[${new Date().toISOString()}] WebSocket server started on ${WS_PORT}\n`);
+    logger.info(`WebSocket server listening on ${config.listenAddress}:${config.wsPort} (${this.tls ? 'wss' : 'ws'})`);
+
+    // The host keeps working without it, e.g. when a second host runs with the same statusPort
+    this.statusServer.onStatus(() => this.status());
+    this.statusServer.onError((error) => {
+      logger.warn(`Status endpoint error: ${error.message}`);
+    });
+    this.statusServer.start();
+    logger.info(`Status endpoint at ${this.tls ? 'https' : 'http'}://${config.listenAddress}:${config.statusPort}/status (Prometheus: /metrics)`);
+    logger.info(`${this.auth.created ? 'Generated' : 'Using'} auth token at ${this.auth.path}`);
+    if (this.policy.enabled) {
+      logger.info(`URL policy loaded from ${config.policyFile} (${this.policy.allow.length} allow, ${this.policy.deny.length} deny rules)`);
+    }
+    if (this.tls) {
+      logger.info(`${this.tls.created ? 'Generated' : 'Using'} TLS certificate at ${this.tls.path} (SHA-256 ${this.tls.fingerprint})`);
+    }
+  }
+
+  // Answer a client's hello; returns whether the connection may proceed
+  handleHello(clientId, client, message, profile) {
+    const error = checkClientHello(message);
+    if (error) {
+      logger.warn(`Refusing WSL bridge client ${clientId}: ${error}`);
+      client.send(hostHello({ error }));
+      client.close(4000, 'Incompatible bridge protocol version');
+      return false;
+    }
+
+    const software = message.software ? `${message.software.name} ${message.software.version}` : 'unknown';
+    const hostTools = grantsFor(PROFILE_ORDER[PROFILE_ORDER.length - 1]).tools;
+    const { capabilities, unsupported, error: mismatch } = negotiateCapabilities(message, this.capabilities(profile), hostTools);
+    if (mismatch) {
+      logger.warn(`Refusing WSL bridge client ${clientId} (${software}): ${mismatch}`);
+      client.send(hostHello({ error: mismatch }));
+      client.close(4000, 'Incompatible bridge capabilities');
+      return false;
+    }
+
+    Object.assign(this.clientInfo.get(clientId) || {}, { software, protocolVersion: message.protocolVersion });
+    logger.info(`WSL bridge client ${clientId} is ${software} (protocol v${message.protocolVersion})`);
+    if (unsupported.length > 0) {
+      logger.warn(`WSL bridge client ${clientId} knows tools this host doesn't have, so they won't be offered: ${unsupported.join(', ')}. Update the Windows host so both sides run the same release.`);
+    }
+    client.send(hostHello({ profile, capabilities }));
+    return true;
+  }
+
+  // What a connection with this profile can use, announced in the hello reply
+  capabilities(profile) {
+    const { tools, computerActions } = grantsFor(profile);
+    return {
+      tools,
+      computerActions,
+      limits: {
+        readPageMaxChars: READ_PAGE_MAX_CHARS,
+        screenshotMaxSize: SCREENSHOT_MAX_SIZE,
+        screenshotFormats: SCREENSHOT_FORMATS,
+        maxKeyRepeat: MAX_KEY_REPEAT,
+        navigationTimeout: NAVIGATION_TIMEOUT
+      }
+    };
+  }
+
+  // Health report served by the status endpoint (HostStatus in shared/src/types.ts)
+  async status() {
+    const chrome = { reachable: false, host: config.cdpHost, port: config.cdpPort };
+    let tabs = [];
+    try {
+      tabs = (await this.cdp.getTargets())
+        .filter(target => target.type === 'page')
+        .map(target => ({ id: target.id, title: target.title, url: target.url, attached: this.cdp.sessions.has(target.id) }));
+      chrome.reachable = true;
+    } catch (e) {
+      chrome.error = e.message;
+    }
+    this.chromeConnected = chrome.reachable;
+
+    const now = Date.now();
+    return {
+      pid: process.pid,
+      uptime: Math.round((now - this.startedAt) / 1000),
+      chrome,
+      clients: Array.from(this.clients, ([id, client]) => ({
+        id,
+        address: client.remoteAddress,
+        ...this.clientInfo.get(id),
+        connectedAt: new Date(client.connectedAt).toISOString(),
+        latencyMs: client.latency
+      })),
+      inFlight: Array.from(this.inFlight, ([requestId, call]) => ({
+        requestId,
+        tool: call.tool,
+        clientId: this.requestToClient.get(requestId) ?? null,
+        correlationId: call.correlationId,
+        elapsedMs: now - call.started
+      })),
+      tabs,
+      tools: this.metrics.snapshot()
+    };
   }
 
-  async handleToolCall(bridgeMessage) {
+  // profile: the permission profile of the connection the call came from
+  async handleToolCall(bridgeMessage, profile = DEFAULT_PROFILE) {
     const payload = bridgeMessage.payload;
     const toolName = payload?.params?.name || payload?.tool;
     const args = payload?.params?.arguments || payload?.arguments || {};
 
-    log('debug', `Tool call: ${toolName}`, args);
+    // Set by the MCP server so its log lines for this call can be matched with ours
+    const correlationId = bridgeMessage.correlationId || newCorrelationId();
+    const log = logger.child({ correlationId });
+    const started = Date.now();
+    log.debug(`Tool call: ${toolName}`, redactToolArguments(toolName, args));
+
+    const requestId = String(bridgeMessage.id);
+    const controller = new AbortController();
+    const signal = controller.signal;
+    this.inFlight.set(requestId, { controller, tool: toolName, correlationId, started });
 
     try {
       let result;
 
+      checkPermission(profile, toolName, args);
+      const session = await this.enforcePolicy(toolName, args);
+      const violationBefore = session?.policyViolation;
+
       switch (toolName) {
         case 'tabs_context_mcp':
           result = await this.handleTabsContext(args);
@@ -108,11 +360,17 @@ class CDPHost {
         case 'tabs_create_mcp':
           result = await this.handleCreateTab(args);
           break;
+        case 'tabs_close_mcp':
+          result = await this.handleCloseTab(args);
+          break;
+        case 'tabs_activate_mcp':
+          result = await this.handleActivateTab(args);
+          break;
         case 'navigate':
-          result = await this.handleNavigate(args);
+          result = await this.handleNavigate(args, signal);
           break;
         case 'computer':
-          result = await this.handleComputer(args);
+          result = await this.handleComputer(args, signal);
           break;
         case 'read_page':
           result = await this.handleReadPage(args);
@@ -132,18 +390,103 @@ class CDPHost {
         case 'console_logs':
           result = await this.handleConsoleLogs(args);
           break;
+        case 'network_requests':
+          result = await this.handleNetworkRequests(args);
+          break;
         default:
           throw new Error(`Unknown tool: ${toolName}`);
       }
 
-      log('debug', `Tool ${toolName} completed successfully`);
-      this.sendResponse(bridgeMessage.id, result);
+      // A click or script may have taken the tab somewhere the policy blocks
+      if (session?.policyViolation && session.policyViolation !== violationBefore && result && typeof result === 'object') {
+        result = { ...result, policyViolation: session.policyViolation };
+      }
+
+      if (signal.aborted) {
+        log.debug(`Tool ${toolName} finished after being cancelled; dropping the result`);
+        this.metrics.record(toolName, Date.now() - started, 'cancelled');
+        return;
+      }
+      log.info(`Tool ${toolName} completed in ${Date.now() - started}ms`);
+      this.metrics.record(toolName, Date.now() - started, 'ok');
+      this.sendResponse(bridgeMessage.id, result, correlationId);
     } catch (error) {
-      log('error', `Tool ${toolName} failed: ${error.message}\n${error.stack}`);
-      this.sendError(bridgeMessage.id, error.message);
+      if (signal.aborted) {
+        log.info(`Tool ${toolName} cancelled (${requestId})`);
+        this.metrics.record(toolName, Date.now() - started, 'cancelled');
+        return;
+      }
+      log.error(`Tool ${toolName} failed after ${Date.now() - started}ms: ${error.message}`, { stack: error.stack, data: error.data });
+      this.metrics.record(toolName, Date.now() - started, 'error');
+      this.sendError(bridgeMessage.id, error.message, error.data, correlationId);
+    } finally {
+      this.inFlight.delete(requestId);
     }
   }
 
+  // Abort a client's in-flight call; cancelled requests get no response
+  cancelRequest(clientId, { requestId, reason }) {
+    const id = String(requestId);
+    if (this.requestToClient.get(id) !== clientId) {
+      logger.debug(`Ignoring cancellation of unknown request ${id}`);
+      return;
+    }
+
+    logger.info(`Cancelling request ${id}${reason ? `: ${reason}` : ''}`);
+    this.requestToClient.delete(id);
+    this.inFlight.get(id)?.controller.abort();
+  }
+
+  /**
+   * Check a tool call against the URL policy before it runs: the navigation
+   * target for navigate and tabs_create_mcp, the tab's current URL for
+   * everything that reads or acts on page content. Throws a PolicyError when
+   * blocked; returns the tab's session for interaction tools so navigations
+   * they trigger can be detected.
+   */
+  async enforcePolicy(toolName, args) {
+    if (!this.policy.enabled) {
+      return null;
+    }
+    const context = { tool: toolName, tabId: args.tabId };
+
+    if (toolName === 'tabs_create_mcp') {
+      this.policy.enforce(args.url || 'about:blank', { ...context, what: 'URL' });
+      return null;
+    }
+
+    if (toolName === 'navigate') {
+      const session = await this.cdp.getSession(args.tabId);
+      const action = args.action || 'goto';
+      if (action === 'goto') {
+        this.policy.enforce(args.url, { ...context, what: 'navigation target' });
+      } else if (action === 'back' || action === 'forward') {
+        const { currentIndex, entries } = await session.send('Page.getNavigationHistory');
+        const entry = entries[currentIndex + (action === 'back' ? -1 : 1)];
+        if (entry) {
+          this.policy.enforce(entry.url, { ...context, what: 'navigation target' });
+        }
+      } else {
+        this.policy.enforce(await this.currentUrl(session), { ...context, what: 'navigation target' });
+      }
+      return session;
+    }
+
+    if (TAB_MANAGEMENT_TOOLS.has(toolName)) {
+      return null;
+    }
+
+    // Checked immediately before the tool runs, so scripts only execute in permitted origins
+    const session = await this.cdp.getSession(args.tabId);
+    this.policy.enforce(await this.currentUrl(session), { ...context, what: 'tab URL' });
+    return INTERACTION_TOOLS.has(toolName) ? session : null;
+  }
+
+  async currentUrl(session) {
+    const { frameTree } = await session.send('Page.getFrameTree');
+    return frameTree.frame.url;
+  }
+
   async handleTabsContext(args) {
     // Refresh Chrome connection
     try {
@@ -156,7 +499,10 @@ class CDPHost {
           tabs: [{
             id: newTab.id,
             title: newTab.title || 'New Tab',
-            url: newTab.url || 'about:blank'
+            url: newTab.url || 'about:blank',
+            openerId: null,
+            loading: true,
+            active: true
           }],
           activeTabId: newTab.id
         };
@@ -164,92 +510,113 @@ class CDPHost {
 
       return {
         tabs: tabs,
-        activeTabId: tabs[0]?.id
+        activeTabId: tabs.find(tab => tab.active)?.id ?? null
       };
     } catch (e) {
       this.chromeConnected = false;
-      throw new Error(`Chrome not available: ${e.message}. Start Chrome with --remote-debugging-port=9222`);
+      throw new Error(`Chrome not available: ${e.message}. Start Chrome with --remote-debugging-port=${config.cdpPort}`);
     }
   }
 
   async handleCreateTab(args) {
+    if (args.url) {
+      checkAbsoluteUrl(args.url);
+    }
     const tab = await this.cdp.createTab(args.url);
     return { id: tab.id, url: tab.url, title: tab.title };
   }
 
-  async handleNavigate(args) {
-    if (args.tabId) {
-      await this.cdp.connectToTarget(args.tabId);
+  async handleCloseTab(args) {
+    if (!args.tabId) {
+      throw new Error('tabs_close_mcp requires tabId');
+    }
+    await this.cdp.closeTab(args.tabId);
+    return { success: true, closedTabId: String(args.tabId) };
+  }
+
+  async handleActivateTab(args) {
+    if (!args.tabId) {
+      throw new Error('tabs_activate_mcp requires tabId');
     }
-    const result = await this.cdp.navigate(args.url);
-    return { success: true, frameId: result.frameId };
+    await this.cdp.activateTab(args.tabId);
+    return { success: true, activeTabId: String(args.tabId) };
   }
 
-  async handleComputer(args) {
+  async handleNavigate(args, signal) {
+    const session = await this.cdp.getSession(args.tabId);
+    return await navigate(session, {
+      action: args.action,
+      url: args.url,
+      waitUntil: args.waitUntil,
+      selector: args.selector,
+      timeout: args.timeout,
+      ignoreCache: args.ignoreCache,
+      signal
+    });
+  }
+
+  async handleComputer(args, signal) {
     const action = args.action;
 
     switch (action) {
       case 'screenshot':
-        if (args.tabId) {
-          await this.cdp.connectToTarget(args.tabId);
-        } else if (!this.cdp.ws) {
-          await this.cdp.connectToTarget();
-        }
-        const screenshot = await this.cdp.takeScreenshot();
+        const screenshot = await this.takeScreenshot(args);
         return {
           type: 'image',
-          data: screenshot,
-          mediaType: 'image/png'
+          data: screenshot.data,
+          mediaType: `image/${screenshot.format}`,
+          width: screenshot.width,
+          height: screenshot.height
         };
 
       case 'left_click':
       case 'click':
-        if (args.tabId) await this.cdp.connectToTarget(args.tabId);
-        else if (!this.cdp.ws) await this.cdp.connectToTarget();
-        await this.cdp.click(args.coordinate[0], args.coordinate[1]);
+      case 'right_click':
+      case 'middle_click':
+      case 'double_click':
+      case 'triple_click':
+        const [clickX, clickY] = await this.resolvePoint(args);
+        await this.cdp.click(args.tabId, clickX, clickY, {
+          button: CLICK_BUTTONS[action] || 'left',
+          clickCount: CLICK_COUNTS[action] || 1,
+          modifiers: args.modifiers
+        });
         return { success: true };
 
-      case 'double_click':
-        if (args.tabId) await this.cdp.connectToTarget(args.tabId);
-        else if (!this.cdp.ws) await this.cdp.connectToTarget();
-        await this.cdp.click(args.coordinate[0], args.coordinate[1]);
-        await this.cdp.click(args.coordinate[0], args.coordinate[1]);
+      case 'mouse_move':
+      case 'hover':
+        const [moveX, moveY] = await this.resolvePoint(args);
+        await this.cdp.mouseMove(args.tabId, moveX, moveY, { modifiers: args.modifiers });
+        return { success: true };
+
+      case 'left_click_drag':
+        if (!args.start_coordinate) {
+          throw new Error('left_click_drag requires start_coordinate');
+        }
+        const dragSession = await this.cdp.getSession(args.tabId);
+        const start = this.toViewportPoint(dragSession, args.start_coordinate);
+        const end = await this.resolvePoint(args);
+        await this.cdp.drag(args.tabId, start, end, { modifiers: args.modifiers });
         return { success: true };
 
       case 'type':
-        if (args.tabId) await this.cdp.connectToTarget(args.tabId);
-        else if (!this.cdp.ws) await this.cdp.connectToTarget();
-        await this.cdp.type(args.text);
+        await this.cdp.type(args.tabId, args.text);
         return { success: true };
 
       case 'key':
-        if (args.tabId) await this.cdp.connectToTarget(args.tabId);
-        else if (!this.cdp.ws) await this.cdp.connectToTarget();
-        await this.cdp.send('Input.dispatchKeyEvent', {
-          type: 'keyDown',
-          key: args.text
-        });
-        await this.cdp.send('Input.dispatchKeyEvent', {
-          type: 'keyUp',
-          key: args.text
-        });
+        if (!args.text) {
+          throw new Error('key requires text, e.g. "Enter" or "ctrl+a"');
+        }
+        await this.cdp.pressKey(args.tabId, args.text, Math.min(Math.max(args.repeat || 1, 1), MAX_KEY_REPEAT));
         return { success: true };
 
       case 'scroll':
-        if (args.tabId) await this.cdp.connectToTarget(args.tabId);
-        else if (!this.cdp.ws) await this.cdp.connectToTarget();
-        const x = args.coordinate?.[0] || 0;
-        const y = args.coordinate?.[1] || 0;
-        await this.cdp.send('Input.dispatchMouseEvent', {
-          type: 'mouseWheel',
-          x, y,
-          deltaX: 0,
-          deltaY: args.delta || -100
-        });
+        const [x, y] = args.ref || args.coordinate ? await this.resolvePoint(args) : [0, 0];
+        await this.cdp.scroll(args.tabId, x, y, args.delta || -100);
         return { success: true };
 
       case 'wait':
-        await new Promise(resolve => setTimeout(resolve, args.duration || 1000));
+        await sleep(args.duration || 1000, signal);
         return { success: true };
 
       default:
@@ -257,165 +624,202 @@ class CDPHost {
     }
   }
 
-  async handleReadPage(args) {
-    if (args.tabId) {
-      await this.cdp.connectToTarget(args.tabId);
-    } else if (!this.cdp.ws) {
-      await this.cdp.connectToTarget();
+  // Screenshot the viewport, a region, the full page or one element (args.ref)
+  async takeScreenshot(args) {
+    const session = await this.cdp.getSession(args.tabId);
+    const format = args.format || 'png';
+    if (!SCREENSHOT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported screenshot format: ${format} (use ${SCREENSHOT_FORMATS.join(', ')})`);
     }
 
-    // Get accessibility tree
-    const result = await this.cdp.send('Accessibility.getFullAXTree');
-    return { tree: result.nodes?.slice(0, 100) || [] }; // Limit for size
+    let clip = null;
+    if (args.ref) {
+      const { backendNodeId } = await session.refs.resolve(args.ref);
+      await session.send('DOM.scrollIntoViewIfNeeded', { backendNodeId });
+      clip = await session.refs.getBoundingBox(args.ref);
+      if (!clip) {
+        throw new Error(`Element ${args.ref} is not rendered, so it cannot be captured`);
+      }
+    } else if (args.region) {
+      // region is [x0, y0, x1, y1] in the coordinates of the last screenshot
+      const [x0, y0] = this.toViewportPoint(session, args.region.slice(0, 2));
+      const [x1, y1] = this.toViewportPoint(session, args.region.slice(2, 4));
+      clip = { x: Math.min(x0, x1), y: Math.min(y0, y1), width: Math.abs(x1 - x0), height: Math.abs(y1 - y0) };
+    }
+
+    const screenshot = await this.cdp.takeScreenshot(args.tabId, {
+      format,
+      quality: args.quality,
+      fullPage: !!args.fullPage && !clip,
+      clip,
+      maxSize: args.maxSize ?? SCREENSHOT_MAX_SIZE
+    });
+
+    // Later coordinates are read off this image, so remember how it maps to the viewport
+    if (!clip && !args.fullPage) {
+      session.screenshotScale = screenshot.cssPixelsPerImagePixel;
+    }
+    return screenshot;
   }
 
-  async handleGetPageText(args) {
-    if (args.tabId) {
-      await this.cdp.connectToTarget(args.tabId);
-    } else if (!this.cdp.ws) {
-      await this.cdp.connectToTarget();
+  // Convert [x, y] from the last viewport screenshot's pixels to CSS pixels
+  toViewportPoint(session, coordinate) {
+    const scale = session.screenshotScale || 1;
+    return [coordinate[0] * scale, coordinate[1] * scale];
+  }
+
+  // Target point for a pointer action: the centre of args.ref, else args.coordinate
+  async resolvePoint(args) {
+    const session = await this.cdp.getSession(args.tabId);
+    if (args.ref) {
+      const point = await session.refs.getClickPoint(args.ref);
+      return [point.x, point.y];
+    }
+    if (!args.coordinate) {
+      throw new Error(`Action ${args.action} requires either coordinate or ref`);
+    }
+    return this.toViewportPoint(session, args.coordinate);
+  }
+
+  async handleReadPage(args) {
+    const session = await this.cdp.getSession(args.tabId);
+
+    // Get accessibility tree
+    const { nodes = [] } = await session.send('Accessibility.getFullAXTree');
+
+    let rootNodeId;
+    if (args.ref) {
+      const { backendNodeId } = await session.refs.resolve(args.ref);
+      const root = nodes.find(node => node.backendDOMNodeId === backendNodeId);
+      if (!root) {
+        throw new Error(`Element ${args.ref} is not part of the accessibility tree`);
+      }
+      rootNodeId = root.nodeId;
+    }
+
+    const outline = buildOutline(nodes, {
+      rootNodeId,
+      filter: args.filter || 'all',
+      depth: args.depth ?? Infinity
+    });
+
+    // Page through the outline by line offset until the character budget is spent
+    const maxChars = args.maxChars || READ_PAGE_MAX_CHARS;
+    const start = args.cursor ? parseInt(args.cursor, 10) : 0;
+    const lines = [];
+    let size = 0;
+    let index = start;
+
+    for (; index < outline.length; index++) {
+      const { level, text, backendNodeId } = outline[index];
+      const ref = backendNodeId ? ` [ref=${session.refs.register(backendNodeId)}]` : '';
+      const line = `${'  '.repeat(level)}${text}${ref}`;
+
+      if (lines.length > 0 && size + line.length + 1 > maxChars) {
+        break;
+      }
+      lines.push(line);
+      size += line.length + 1;
     }
 
-    const text = await this.cdp.executeScript('document.body.innerText');
+    return {
+      tree: lines.join('\n'),
+      totalLines: outline.length,
+      nextCursor: index < outline.length ? String(index) : null
+    };
+  }
+
+  async handleGetPageText(args) {
+    const text = await this.cdp.executeScript(args.tabId, 'document.body.innerText');
     return { text };
   }
 
   async handleJavaScript(args) {
-    if (args.tabId) {
-      await this.cdp.connectToTarget(args.tabId);
-    } else if (!this.cdp.ws) {
-      await this.cdp.connectToTarget();
-    }
-
-    const result = await this.cdp.executeScript(args.text);
+    const result = await this.cdp.executeScript(args.tabId, args.text);
     return { result };
   }
 
   async handleFind(args) {
-    if (args.tabId) {
-      await this.cdp.connectToTarget(args.tabId);
-    } else if (!this.cdp.ws) {
-      await this.cdp.connectToTarget();
-    }
-
-    const script = `
-      (function() {
-        const query = ${JSON.stringify(args.query)};
-        const elements = document.querySelectorAll(query);
-        return Array.from(elements).slice(0, 10).map((el, i) => ({
-          ref: 'element-' + i,
-          tag: el.tagName,
-          text: el.innerText?.substring(0, 100),
-          value: el.value
-        }));
-      })()
-    `;
-
-    const result = await this.cdp.executeScript(script);
-    return { elements: result || [] };
+    if (typeof args.query !== 'string' || !args.query.trim()) {
+      throw new Error('find requires a query: a description, CSS selector or XPath');
+    }
+    const session = await this.cdp.getSession(args.tabId);
+    const { strategy, elements } = await findElements(session, args.query, args.limit);
+    return { query: args.query, strategy, elements };
   }
 
   async handleFormInput(args) {
-    if (args.tabId) {
-      await this.cdp.connectToTarget(args.tabId);
-    } else if (!this.cdp.ws) {
-      await this.cdp.connectToTarget();
-    }
-
-    const script = `
-      (function() {
-        const ref = ${JSON.stringify(args.ref)};
-        const value = ${JSON.stringify(args.value)};
-        const index = parseInt(ref.replace('element-', ''));
-        const elements = document.querySelectorAll('input, textarea, select');
-        if (elements[index]) {
-          elements[index].value = value;
-          elements[index].dispatchEvent(new Event('input', { bubbles: true }));
-          return true;
+    const session = await this.cdp.getSession(args.tabId);
+
+    // Runs with the element as `this`; uses the native value setter so
+    // framework-controlled inputs (React etc.) see the change
+    const setValue = `function(value) {
+      const el = this;
+      const tag = el.tagName;
+
+      if (tag === 'SELECT') {
+        const option = Array.from(el.options).find(o => o.value === value || o.text.trim() === value);
+        if (!option) {
+          throw new Error('No option matching "' + value + '"');
         }
-        return false;
-      })()
-    `;
+        el.value = option.value;
+      } else if (tag === 'INPUT' && (el.type === 'checkbox' || el.type === 'radio')) {
+        el.checked = value === true || value === 'true' || value === 'on';
+      } else if (tag === 'INPUT' || tag === 'TEXTAREA') {
+        const proto = tag === 'INPUT' ? HTMLInputElement.prototype : HTMLTextAreaElement.prototype;
+        Object.getOwnPropertyDescriptor(proto, 'value').set.call(el, value);
+      } else if (el.isContentEditable) {
+        el.textContent = value;
+      } else {
+        throw new Error('Element ' + tag.toLowerCase() + ' is not a form field');
+      }
 
-    const result = await this.cdp.executeScript(script);
-    return { success: result };
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+      return el.type === 'checkbox' || el.type === 'radio' ? el.checked : (el.value ?? el.textContent);
+    }`;
+
+    const value = await session.refs.callFunction(args.ref, setValue, [args.value]);
+    return { success: true, ref: args.ref, value };
   }
 
   async handleConsoleLogs(args) {
-    if (args.tabId) {
-      await this.cdp.connectToTarget(args.tabId);
-    } else if (!this.cdp.ws) {
-      await this.cdp.connectToTarget();
-    }
-
-    const limit = args.limit || 50;
-    const types = args.types || ['log', 'warn', 'error', 'info'];
-    const clear = args.clear || false;
-    const since = args.since || null;
-
-    // Script that installs console capture (if needed) and retrieves logs
-    const script = `
-      (function() {
-        // Install console capture if not already installed
-        if (!window.__consoleLogs) {
-          window.__consoleLogs = [];
-          const orig = { log: console.log, warn: console.warn, error: console.error, info: console.info };
-          ['log', 'warn', 'error', 'info'].forEach(method => {
-            console[method] = function(...args) {
-              window.__consoleLogs.push({
-                type: method,
-                args: args.map(a => {
-                  try {
-                    return typeof a === 'object' ? JSON.stringify(a) : String(a);
-                  } catch (e) {
-                    return String(a);
-                  }
-                }),
-                time: new Date().toISOString()
-              });
-              // Keep buffer size reasonable
-              if (window.__consoleLogs.length > 500) window.__consoleLogs.shift();
-              orig[method].apply(console, args);
-            };
-          });
-        }
-
-        // Filter and retrieve logs
-        const types = ${JSON.stringify(types)};
-        const since = ${JSON.stringify(since)};
-        const limit = ${limit};
-        const clear = ${clear};
+    const session = await this.cdp.getSession(args.tabId);
 
-        let logs = window.__consoleLogs.filter(log => {
-          if (!types.includes(log.type)) return false;
-          if (since && log.time <= since) return false;
-          return true;
-        });
-
-        const total = logs.length;
-        const truncated = logs.length > limit;
-        logs = logs.slice(-limit);
+    return session.console.query({
+      types: args.types,
+      since: args.since,
+      limit: args.limit,
+      clear: args.clear
+    });
+  }
 
-        if (clear) {
-          window.__consoleLogs = [];
-        }
+  async handleNetworkRequests(args) {
+    const session = await this.cdp.getSession(args.tabId);
 
-        return { logs, total, truncated };
-      })()
-    `;
+    if (args.requestId) {
+      return await session.network.getResponseBody(args.requestId, args.maxBodyLength);
+    }
 
-    const result = await this.cdp.executeScript(script);
-    return result;
+    return session.network.query({
+      urlPattern: args.urlPattern,
+      resourceTypes: args.resourceTypes,
+      status: args.status,
+      since: args.since,
+      limit: args.limit,
+      clear: args.clear
+    });
   }
 
-  sendResponse(id, result) {
+  // correlationId: echoed back so the MCP server can log the response under the same id
+  sendResponse(id, result, correlationId) {
     const clientId = this.requestToClient.get(String(id));
     const client = clientId ? this.clients.get(clientId) : null;
 
-    log('debug', `Sending response for ${id} to client ${clientId}`, { hasResult: !!result });
+    logger.debug(`Sending response for ${id} to client ${clientId}`, { hasResult: !!result });
 
     if (!client) {
-      log('warn', `No client found for request ${id}`);
+      logger.warn(`No client found for request ${id}`);
       return;
     }
 
@@ -425,6 +829,7 @@ class CDPHost {
       id,
       direction: 'from-chrome',
       timestamp: Date.now(),
+      ...(correlationId ? { correlationId } : {}),
       payload: {
         requestId: id,
         result
@@ -432,12 +837,13 @@ class CDPHost {
     });
   }
 
-  sendError(id, error) {
+  // data: optional structured details (e.g. a policy denial) passed through to the MCP error
+  sendError(id, error, data, correlationId) {
     const clientId = this.requestToClient.get(String(id));
     const client = clientId ? this.clients.get(clientId) : null;
 
     if (!client) {
-      log('warn', `No client found for error response ${id}`);
+      logger.warn(`No client found for error response ${id}`);
       return;
     }
 
@@ -447,9 +853,11 @@ class CDPHost {
       id,
       direction: 'from-chrome',
       timestamp: Date.now(),
+      ...(correlationId ? { correlationId } : {}),
       payload: {
         requestId: id,
-        error
+        error,
+        ...(data ? { errorData: data } : {})
       }
     });
   }
@@ -458,8 +866,7 @@ class CDPHost {
 // Start the host
 const host = new CDPHost();
 host.start().catch(err => {
-  fs.appendFileSync(EARLY_LOG, `[${new Date().toISOString()}] ERROR: ${err.message}\n`);
-  console.error('Failed to start:', err);
+  logger.error(`Failed to start: ${err.message}`, { stack: err.stack });
 });
 
 // Keep alive
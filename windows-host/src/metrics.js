@@ -0,0 +1,118 @@
+/**
+ * Tool Metrics
+ * Per-tool call, error and cancellation counts with latency percentiles, and
+ * the Prometheus text rendering of the host's status report.
+ */
+
+// Percentiles are computed over each tool's most recent calls
+const LATENCY_WINDOW = 1000;
+const QUANTILES = [0.5, 0.9, 0.99];
+
+// Value at quantile q of an ascending array
+function quantile(sorted, q) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+}
+
+class ToolMetrics {
+  // knownTools: tool names counted under their own name; any other name is
+  // counted as "unknown", so clients can't grow the map or the Prometheus series
+  constructor(knownTools) {
+    this.knownTools = new Set(knownTools);
+    this.tools = new Map(); // tool name -> { calls, errors, cancelled, totalMs, recent }
+  }
+
+  entry(tool) {
+    if (!this.tools.has(tool)) {
+      this.tools.set(tool, { calls: 0, errors: 0, cancelled: 0, totalMs: 0, recent: [] });
+    }
+    return this.tools.get(tool);
+  }
+
+  // outcome: 'ok', 'error' or 'cancelled'; cancelled calls don't count towards latency
+  record(tool, ms, outcome) {
+    const entry = this.entry(this.knownTools.has(tool) ? tool : 'unknown');
+    entry.calls++;
+    if (outcome === 'error') {
+      entry.errors++;
+    }
+    if (outcome === 'cancelled') {
+      entry.cancelled++;
+      return;
+    }
+    entry.totalMs += ms;
+    entry.recent.push(ms);
+    if (entry.recent.length > LATENCY_WINDOW) {
+      entry.recent.shift();
+    }
+  }
+
+  // { tool: { calls, errors, cancelled, latencyMs: { p50, p90, p99, max, sum } } }
+  snapshot() {
+    const result = {};
+    for (const [tool, entry] of [...this.tools].sort(([a], [b]) => a.localeCompare(b))) {
+      const sorted = [...entry.recent].sort((a, b) => a - b);
+      const latencyMs = {};
+      for (const q of QUANTILES) {
+        latencyMs[`p${Math.round(q * 100)}`] = quantile(sorted, q);
+      }
+      latencyMs.max = sorted.length > 0 ? sorted[sorted.length - 1] : null;
+      latencyMs.sum = entry.totalMs;
+      result[tool] = { calls: entry.calls, errors: entry.errors, cancelled: entry.cancelled, latencyMs };
+    }
+    return result;
+  }
+}
+
+// Escape a Prometheus label value
+function label(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a status report (CDPHost.status()) in the Prometheus text exposition
+ * format. Latencies are in milliseconds; null values are left out.
+ */
+function toPrometheus(status) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value, suffix = ''] of samples) {
+      if (value === null || value === undefined) continue;
+      const text = Object.entries(labels).map(([key, val]) => `${key}="${label(val)}"`).join(',');
+      lines.push(`${name}${suffix}${text ? `{${text}}` : ''} ${Number(value)}`);
+    }
+  };
+  const tools = Object.entries(status.tools);
+
+  metric('claude_bridge_uptime_seconds', 'gauge', 'Seconds since the host started',
+    [[{}, status.uptime]]);
+  metric('claude_bridge_chrome_up', 'gauge', 'Whether Chrome answered on its debugging port',
+    [[{ cdp_host: status.chrome.host, cdp_port: status.chrome.port }, status.chrome.reachable ? 1 : 0]]);
+  metric('claude_bridge_clients', 'gauge', 'Connected WSL bridge clients',
+    [[{}, status.clients.length]]);
+  metric('claude_bridge_client_latency_ms', 'gauge', 'Last heartbeat round trip per WSL client',
+    status.clients.map(client => [{ client: client.id, profile: client.profile }, client.latencyMs]));
+  metric('claude_bridge_in_flight_requests', 'gauge', 'Tool calls currently running',
+    [[{}, status.inFlight.length]]);
+  metric('claude_bridge_attached_tabs', 'gauge', 'Tabs the host holds a DevTools session for',
+    [[{}, status.tabs.filter(tab => tab.attached).length]]);
+  metric('claude_bridge_tool_calls_total', 'counter', 'Tool calls handled, including failed and cancelled ones',
+    tools.map(([tool, stats]) => [{ tool }, stats.calls]));
+  metric('claude_bridge_tool_errors_total', 'counter', 'Tool calls that failed',
+    tools.map(([tool, stats]) => [{ tool }, stats.errors]));
+  metric('claude_bridge_tool_cancelled_total', 'counter', 'Tool calls cancelled before they finished',
+    tools.map(([tool, stats]) => [{ tool }, stats.cancelled]));
+  metric('claude_bridge_tool_latency_ms', 'summary', `Tool call latency over each tool's last ${LATENCY_WINDOW} completed calls`,
+    tools.flatMap(([tool, stats]) => [
+      ...QUANTILES.map(q => [{ tool, quantile: q }, stats.latencyMs[`p${Math.round(q * 100)}`]]),
+      [{ tool }, stats.latencyMs.sum, '_sum'],
+      [{ tool }, stats.calls - stats.cancelled, '_count']
+    ]));
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { ToolMetrics, toPrometheus };
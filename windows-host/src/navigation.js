@@ -0,0 +1,294 @@
+/**
+ * Navigation
+ * Runs a navigation (goto, back, forward, reload) in a tab and waits for the
+ * requested load condition, reporting the final URL, HTTP status and title
+ */
+
+const DEFAULT_TIMEOUT = 30000;
+const SELECTOR_POLL_INTERVAL = 100;
+
+// waitUntil values -> Page.lifecycleEvent names
+const LIFECYCLE_EVENTS = {
+  load: 'load',
+  domcontentloaded: 'DOMContentLoaded',
+  networkidle: 'networkIdle'
+};
+
+// Collects main-frame navigation events so waits can be checked as they arrive
+class NavigationWatcher {
+  constructor(session, mainFrameId) {
+    this.session = session;
+    this.mainFrameId = mainFrameId;
+    this.lifecycle = new Map(); // loaderId -> Set of lifecycle event names
+    this.responses = new Map(); // loaderId -> { status, statusText, url }
+    this.failures = new Map(); // loaderId -> errorText
+    this.committedLoaderId = null;
+    this.sameDocument = false;
+    this.restoredFromCache = false;
+    this.waiters = [];
+
+    this.unsubscribers = [
+      session.on('Page.lifecycleEvent', (params) => {
+        if (params.frameId !== this.mainFrameId) return;
+        if (!this.lifecycle.has(params.loaderId)) {
+          this.lifecycle.set(params.loaderId, new Set());
+        }
+        this.lifecycle.get(params.loaderId).add(params.name);
+        this.notify();
+      }),
+      session.on('Page.frameNavigated', (params) => {
+        if (params.frame.parentId) return;
+        this.committedLoaderId = params.frame.loaderId;
+        this.restoredFromCache = params.type === 'BackForwardCacheRestore';
+        this.notify();
+      }),
+      session.on('Page.navigatedWithinDocument', (params) => {
+        if (params.frameId !== this.mainFrameId) return;
+        this.sameDocument = true;
+        this.notify();
+      }),
+      session.on('Network.responseReceived', (params) => {
+        if (params.type !== 'Document' || params.frameId !== this.mainFrameId) return;
+        this.responses.set(params.loaderId, {
+          status: params.response.status,
+          statusText: params.response.statusText,
+          url: params.response.url
+        });
+      }),
+      session.on('Network.loadingFailed', (params) => {
+        // The main document request's requestId is its loaderId
+        if (params.type !== 'Document') return;
+        this.failures.set(params.requestId, params.errorText);
+        this.notify();
+      })
+    ];
+  }
+
+  // Resolve once check() returns true; reject after timeout ms
+  waitFor(check, timeout, description) {
+    if (check()) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { check, resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        reject(new Error(`Timed out after ${timeout}ms waiting for ${description}`));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  notify() {
+    for (const waiter of this.waiters.slice()) {
+      if (waiter.check()) {
+        clearTimeout(waiter.timer);
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        waiter.resolve();
+      }
+    }
+  }
+
+  // Fail every pending wait, e.g. when the caller cancels
+  abort(error) {
+    for (const waiter of this.waiters) {
+      clearTimeout(waiter.timer);
+      waiter.reject(error);
+    }
+    this.waiters = [];
+  }
+
+  hasLifecycleEvent(loaderId, name) {
+    return this.restoredFromCache || !!this.lifecycle.get(loaderId)?.has(name);
+  }
+
+  dispose() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    for (const waiter of this.waiters) {
+      clearTimeout(waiter.timer);
+    }
+    this.waiters = [];
+  }
+}
+
+async function prepareSession(session) {
+  await session.enable('Page');
+  await session.send('Page.setLifecycleEventsEnabled', { enabled: true });
+}
+
+// Move through session history by offset (-1 back, +1 forward)
+async function navigateHistory(session, offset) {
+  const { currentIndex, entries } = await session.send('Page.getNavigationHistory');
+  const entry = entries[currentIndex + offset];
+  if (!entry) {
+    throw new Error(offset < 0 ? 'No previous page in history' : 'No next page in history');
+  }
+  await session.send('Page.navigateToHistoryEntry', { entryId: entry.id });
+}
+
+// Chrome only loads absolute URLs; say so instead of passing on its "invalid URL".
+// The URL policy refuses the same URLs, so a policy doesn't change the outcome.
+function checkAbsoluteUrl(url) {
+  try {
+    new URL(url);
+  } catch (e) {
+    throw new Error(`${url} is not an absolute URL; include the scheme, e.g. https://${url}`);
+  }
+}
+
+function cancelledError() {
+  return new Error('Navigation was cancelled');
+}
+
+async function waitForSelector(session, selector, deadline, signal) {
+  while (Date.now() < deadline) {
+    if (signal?.aborted) {
+      throw cancelledError();
+    }
+    const { result } = await session.send('Runtime.evaluate', {
+      expression: `!!document.querySelector(${JSON.stringify(selector)})`,
+      returnByValue: true
+    });
+    if (result.value) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, SELECTOR_POLL_INTERVAL));
+  }
+  throw new Error(`Timed out waiting for selector ${selector}`);
+}
+
+async function describePage(session) {
+  try {
+    const { result } = await session.send('Runtime.evaluate', {
+      expression: '({ url: location.href, title: document.title })',
+      returnByValue: true
+    });
+    return result.value || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Navigate a tab and wait for it to settle.
+ *
+ * action: 'goto' (needs url), 'back', 'forward' or 'reload'
+ * waitUntil: 'load' (default), 'domcontentloaded', 'networkidle', 'selector' or 'none'
+ * signal: optional AbortSignal; aborting stops the page loading and rejects
+ */
+async function navigate(session, options = {}) {
+  const action = options.action || 'goto';
+  const selector = options.selector;
+  const waitUntil = (options.waitUntil || (selector ? 'selector' : 'load')).toLowerCase();
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const deadline = Date.now() + timeout;
+
+  if (action === 'goto' && !options.url) {
+    throw new Error('navigate requires a url');
+  }
+  if (action === 'goto') {
+    checkAbsoluteUrl(options.url);
+  }
+  if (waitUntil === 'selector' && !selector) {
+    throw new Error('waitUntil "selector" requires a selector');
+  }
+  if (waitUntil !== 'selector' && waitUntil !== 'none' && !LIFECYCLE_EVENTS[waitUntil]) {
+    throw new Error(`Unknown waitUntil: ${options.waitUntil}`);
+  }
+
+  await prepareSession(session);
+  const { frameTree } = await session.send('Page.getFrameTree');
+  const watcher = new NavigationWatcher(session, frameTree.frame.id);
+  const outcome = { action };
+
+  const onAbort = () => {
+    watcher.abort(cancelledError());
+    session.send('Page.stopLoading').catch(() => {});
+  };
+  options.signal?.addEventListener('abort', onAbort);
+
+  try {
+    if (options.signal?.aborted) {
+      throw cancelledError();
+    }
+
+    let loaderId = null;
+
+    switch (action) {
+      case 'goto':
+        const result = await session.send('Page.navigate', { url: options.url });
+        if (result.errorText) {
+          outcome.errorText = result.errorText;
+        }
+        loaderId = result.loaderId || null;
+        watcher.sameDocument = !result.loaderId && !result.errorText;
+        break;
+      case 'back':
+        await navigateHistory(session, -1);
+        break;
+      case 'forward':
+        await navigateHistory(session, 1);
+        break;
+      case 'reload':
+        await session.send('Page.reload', { ignoreCache: !!options.ignoreCache });
+        break;
+      default:
+        throw new Error(`Unknown navigate action: ${action}`);
+    }
+
+    if (!outcome.errorText && !watcher.sameDocument) {
+      // History moves and reloads don't return a loaderId; wait for the commit to learn it
+      if (!loaderId) {
+        await watcher.waitFor(
+          () => watcher.committedLoaderId || watcher.sameDocument || watcher.failures.size > 0,
+          Math.max(deadline - Date.now(), 0),
+          'navigation to start'
+        );
+        loaderId = watcher.committedLoaderId || watcher.failures.keys().next().value || null;
+      }
+
+      const failed = () => loaderId && watcher.failures.has(loaderId);
+
+      if (!watcher.sameDocument && waitUntil !== 'none') {
+        const eventName = waitUntil === 'selector' ? 'DOMContentLoaded' : LIFECYCLE_EVENTS[waitUntil];
+        await watcher.waitFor(
+          () => failed() || watcher.hasLifecycleEvent(loaderId, eventName),
+          Math.max(deadline - Date.now(), 0),
+          eventName
+        );
+      }
+
+      if (failed()) {
+        outcome.errorText = watcher.failures.get(loaderId);
+      } else if (waitUntil === 'selector') {
+        await waitForSelector(session, selector, deadline, options.signal);
+      }
+    }
+
+    const response = loaderId ? watcher.responses.get(loaderId) : null;
+    if (response) {
+      outcome.status = response.status;
+      outcome.statusText = response.statusText;
+    }
+  } catch (e) {
+    if (!/^Timed out/.test(e.message)) {
+      throw e;
+    }
+    outcome.timedOut = true;
+    outcome.error = e.message;
+  } finally {
+    options.signal?.removeEventListener('abort', onAbort);
+    watcher.dispose();
+  }
+
+  const page = await describePage(session);
+  return {
+    success: !outcome.errorText && !outcome.timedOut,
+    url: page.url,
+    title: page.title,
+    ...outcome
+  };
+}
+
+module.exports = { navigate, checkAbsoluteUrl, DEFAULT_TIMEOUT };
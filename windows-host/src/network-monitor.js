@@ -0,0 +1,174 @@
+/**
+ * Network Monitor
+ * Records a tab's HTTP traffic from the CDP Network domain into a ring buffer
+ */
+
+const MAX_ENTRIES = 500;
+const MAX_BODY_LENGTH = 100000;
+
+// Match a URL against a substring, or a /regex/ when wrapped in slashes
+function matchesUrl(url, pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]).test(url);
+  }
+  return url.includes(pattern);
+}
+
+// Match a request against a status filter: '404', '4xx' or 'failed'
+function matchesStatus(entry, status) {
+  const filter = String(status).toLowerCase();
+  if (filter === 'failed') {
+    return entry.failed;
+  }
+  if (entry.status === undefined) {
+    return false;
+  }
+  if (/^[1-5]xx$/.test(filter)) {
+    return Math.floor(entry.status / 100) === Number(filter[0]);
+  }
+  return entry.status === Number(filter);
+}
+
+class NetworkMonitor {
+  constructor(session, maxEntries = MAX_ENTRIES) {
+    this.session = session;
+    this.maxEntries = maxEntries;
+    this.entries = [];
+    this.byRequestId = new Map(); // requestId -> latest entry for that id
+  }
+
+  // Enable the Network domain and start recording events
+  async start() {
+    this.session.on('Network.requestWillBeSent', params => this.onRequestWillBeSent(params));
+    this.session.on('Network.responseReceived', params => this.onResponseReceived(params));
+    this.session.on('Network.loadingFinished', params => this.onLoadingFinished(params));
+    this.session.on('Network.loadingFailed', params => this.onLoadingFailed(params));
+    await this.session.enable('Network');
+  }
+
+  onRequestWillBeSent(params) {
+    // A redirect reuses the requestId: close out the previous hop first
+    const previous = this.byRequestId.get(params.requestId);
+    if (previous && params.redirectResponse) {
+      previous.status = params.redirectResponse.status;
+      previous.statusText = params.redirectResponse.statusText;
+      previous.redirectedTo = params.request.url;
+      previous.duration = Math.round((params.timestamp - previous.startTimestamp) * 1000);
+    }
+
+    const entry = {
+      requestId: params.requestId,
+      url: params.request.url,
+      method: params.request.method,
+      resourceType: params.type || 'Other',
+      time: new Date(params.wallTime * 1000).toISOString(),
+      startTimestamp: params.timestamp,
+      failed: false
+    };
+
+    this.entries.push(entry);
+    this.byRequestId.set(params.requestId, entry);
+
+    if (this.entries.length > this.maxEntries) {
+      const evicted = this.entries.shift();
+      if (this.byRequestId.get(evicted.requestId) === evicted) {
+        this.byRequestId.delete(evicted.requestId);
+      }
+    }
+  }
+
+  onResponseReceived(params) {
+    const entry = this.byRequestId.get(params.requestId);
+    if (!entry) {
+      return;
+    }
+
+    entry.status = params.response.status;
+    entry.statusText = params.response.statusText;
+    entry.mimeType = params.response.mimeType;
+    entry.fromCache = !!(params.response.fromDiskCache || params.response.fromServiceWorker);
+    entry.remoteAddress = params.response.remoteIPAddress;
+  }
+
+  onLoadingFinished(params) {
+    const entry = this.byRequestId.get(params.requestId);
+    if (!entry) {
+      return;
+    }
+
+    entry.encodedDataLength = params.encodedDataLength;
+    entry.duration = Math.round((params.timestamp - entry.startTimestamp) * 1000);
+  }
+
+  onLoadingFailed(params) {
+    const entry = this.byRequestId.get(params.requestId);
+    if (!entry) {
+      return;
+    }
+
+    entry.failed = true;
+    entry.errorText = params.errorText;
+    entry.canceled = !!params.canceled;
+    if (params.blockedReason) {
+      entry.blockedReason = params.blockedReason;
+    }
+    entry.duration = Math.round((params.timestamp - entry.startTimestamp) * 1000);
+  }
+
+  // Return recorded requests matching the given filters, newest last
+  query(filters = {}) {
+    const limit = filters.limit || 50;
+
+    let entries = this.entries.filter(entry => {
+      if (filters.urlPattern && !matchesUrl(entry.url, filters.urlPattern)) return false;
+      if (filters.resourceTypes && !filters.resourceTypes.includes(entry.resourceType)) return false;
+      if (filters.status !== undefined && !matchesStatus(entry, filters.status)) return false;
+      if (filters.since && entry.time <= filters.since) return false;
+      return true;
+    });
+
+    const total = entries.length;
+    const truncated = entries.length > limit;
+    entries = entries.slice(-limit).map(({ startTimestamp, ...entry }) => entry);
+
+    if (filters.clear) {
+      this.clear();
+    }
+
+    return { requests: entries, total, truncated };
+  }
+
+  // Fetch the body of a recorded response via Network.getResponseBody
+  async getResponseBody(requestId, maxLength = MAX_BODY_LENGTH) {
+    const entry = this.byRequestId.get(requestId);
+    if (!entry) {
+      throw new Error(`Unknown request: ${requestId}`);
+    }
+
+    const { startTimestamp, ...request } = entry;
+    const result = await this.session.send('Network.getResponseBody', { requestId });
+
+    let body = result.body;
+    const bodyLength = body.length;
+    const truncated = bodyLength > maxLength;
+    if (truncated) {
+      body = body.substring(0, maxLength);
+    }
+
+    return {
+      request,
+      body,
+      base64Encoded: result.base64Encoded,
+      bodyLength,
+      truncated
+    };
+  }
+
+  clear() {
+    this.entries = [];
+    this.byRequestId.clear();
+  }
+}
+
+module.exports = { NetworkMonitor };
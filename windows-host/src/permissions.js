@@ -0,0 +1,70 @@
+/**
+ * Permission Profiles
+ * Checks each tool call against the profile of the connection it came from.
+ * The profiles themselves are defined in @claude-chrome-bridge/shared/permissions,
+ * which the WSL side uses to build tools/list.
+ */
+
+const shared = require('@claude-chrome-bridge/shared/permissions');
+
+const { PROFILE_ORDER, DEFAULT_PROFILE, PROFILE_HEADER, assertProfile, includesProfile, deniedArguments } = shared;
+
+class PermissionError extends Error {
+  constructor(message, data) {
+    super(message);
+    this.name = 'PermissionError';
+    this.data = { code: 'permission_denied', ...data };
+  }
+}
+
+// The profile a connection gets: what it asked for, capped at the host's maximum
+function resolveProfile(requested, max = DEFAULT_PROFILE) {
+  const name = requested || DEFAULT_PROFILE;
+  assertProfile(name);
+  assertProfile(max);
+  return includesProfile(max, name) ? name : max;
+}
+
+// Throw a PermissionError unless the profile allows this tool call
+function checkPermission(profile, toolName, args = {}) {
+  const grants = shared.grantsFor(profile);
+  const all = shared.grantsFor(PROFILE_ORDER[PROFILE_ORDER.length - 1]);
+
+  // Unknown tools and actions are left for the tool handlers to report
+  if (!all.tools.has(toolName)) {
+    return;
+  }
+
+  if (!grants.tools.has(toolName)) {
+    throw new PermissionError(`Tool ${toolName} is not allowed in the ${profile} permission profile`, {
+      profile,
+      tool: toolName
+    });
+  }
+
+  if (toolName === 'computer' && all.computerActions.has(args.action) && !grants.computerActions.has(args.action)) {
+    throw new PermissionError(`computer action ${args.action} is not allowed in the ${profile} permission profile`, {
+      profile,
+      tool: toolName,
+      action: args.action ?? null
+    });
+  }
+
+  const [rule] = deniedArguments(profile, toolName, args);
+  if (rule) {
+    const call = rule.action ? `computer ${rule.action}` : toolName;
+    throw new PermissionError(`${call} with ${rule.argument} ${rule.effect}, which is not allowed in the ${profile} permission profile (needs ${rule.profile})`, {
+      profile,
+      tool: toolName,
+      argument: rule.argument
+    });
+  }
+}
+
+// Tools and computer actions a profile grants, as arrays
+function grantsFor(profile) {
+  const { tools, computerActions } = shared.grantsFor(profile);
+  return { tools: Array.from(tools), computerActions: Array.from(computerActions) };
+}
+
+module.exports = { resolveProfile, checkPermission, grantsFor, PermissionError, PROFILE_ORDER, DEFAULT_PROFILE, PROFILE_HEADER };
@@ -0,0 +1,104 @@
+/**
+ * Status Server
+ * Small HTTP endpoint next to the WebSocket server for checking the host's
+ * health without reading its log:
+ *
+ *   GET /status   JSON status report
+ *   GET /metrics  the same numbers in Prometheus text format
+ *
+ * Requests must present the bridge auth token as "Authorization: Bearer <token>",
+ * since the report includes the URLs of open tabs.
+ */
+
+const http = require('http');
+const https = require('https');
+const { tokensMatch } = require('./auth-token');
+const { toPrometheus } = require('./metrics');
+
+// Token from an "Authorization: Bearer <token>" header
+function presentedToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+class StatusServer {
+  // tls: optional { cert, key } (PEM) to serve https:// instead of http://
+  constructor(port, token, tls = null, host = '0.0.0.0') {
+    if (!token) {
+      throw new Error('StatusServer requires an auth token');
+    }
+    this.port = port;
+    this.host = host;
+    this.token = token;
+    this.tls = tls;
+    this.server = null;
+    this.statusHandler = null;
+    this.errorHandler = null;
+  }
+
+  // Set the async function that builds the status report
+  onStatus(handler) {
+    this.statusHandler = handler;
+  }
+
+  onError(handler) {
+    this.errorHandler = handler;
+  }
+
+  start() {
+    const handle = (req, res) => this.handleRequest(req, res);
+    this.server = this.tls
+      ? https.createServer({ cert: this.tls.cert, key: this.tls.key }, handle)
+      : http.createServer(handle);
+
+    this.server.on('error', (error) => {
+      if (this.errorHandler) {
+        this.errorHandler(error);
+      }
+    });
+    this.server.listen(this.port, this.host);
+  }
+
+  async handleRequest(req, res) {
+    const reply = (code, type, body) => {
+      res.writeHead(code, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+      res.end(body);
+    };
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (!tokensMatch(this.token, presentedToken(req))) {
+      reply(401, 'text/plain', 'Unauthorized: present the bridge auth token as "Authorization: Bearer <token>"\n');
+      return;
+    }
+    if (pathname !== '/status' && pathname !== '/metrics') {
+      reply(404, 'text/plain', 'Not found (use /status or /metrics)\n');
+      return;
+    }
+    if (req.method !== 'GET') {
+      reply(405, 'text/plain', 'Method not allowed\n');
+      return;
+    }
+
+    try {
+      const status = await this.statusHandler();
+      if (pathname === '/metrics') {
+        reply(200, 'text/plain; version=0.0.4; charset=utf-8', toPrometheus(status));
+      } else {
+        reply(200, 'application/json', `${JSON.stringify(status, null, 2)}\n`);
+      }
+    } catch (error) {
+      reply(500, 'text/plain', `Failed to build status: ${error.message}\n`);
+      if (this.errorHandler) {
+        this.errorHandler(error);
+      }
+    }
+  }
+
+  close() {
+    if (this.server) {
+      this.server.close();
+    }
+  }
+}
+
+module.exports = { StatusServer };
@@ -0,0 +1,126 @@
+/**
+ * TLS Certificate
+ * Generates the self-signed certificate used for wss:// on first start and
+ * stores it next to the auth token, where WSL clients read it to pin the host.
+ * The certificate is built with a small DER encoder so no OpenSSL install is needed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CERT_FILE_NAME = 'cert.pem';
+const KEY_FILE_NAME = 'key.pem';
+const COMMON_NAME = 'claude-chrome-bridge';
+const VALIDITY_YEARS = 10;
+
+const OID_ECDSA_WITH_SHA256 = '1.2.840.10045.4.3.2';
+const OID_COMMON_NAME = '2.5.4.3';
+
+// Minimal DER encoding for the handful of ASN.1 types a certificate needs
+function derLength(length) {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+  const bytes = [];
+  while (length > 0) {
+    bytes.unshift(length & 0xff);
+    length >>= 8;
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function der(tag, ...contents) {
+  const body = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+}
+
+const sequence = (...items) => der(0x30, ...items);
+const set = (...items) => der(0x31, ...items);
+
+function integer(bytes) {
+  // Keep it positive: prepend a zero byte when the high bit is set
+  return der(0x02, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+}
+
+function oid(dotted) {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const part of rest) {
+    const chunk = [part & 0x7f];
+    for (let value = part >> 7; value > 0; value >>= 7) {
+      chunk.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+function time(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z'; // YYYYMMDDHHMMSSZ
+  return date.getUTCFullYear() < 2050
+    ? der(0x17, Buffer.from(iso.slice(2))) // UTCTime
+    : der(0x18, Buffer.from(iso)); // GeneralizedTime
+}
+
+function commonName(name) {
+  return sequence(set(sequence(oid(OID_COMMON_NAME), der(0x0c, Buffer.from(name)))));
+}
+
+// Build a self-signed ECDSA P-256 certificate; returns PEM strings
+function generateCertificate() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+  const notBefore = new Date(Date.now() - 60 * 60 * 1000);
+  const notAfter = new Date(notBefore);
+  notAfter.setUTCFullYear(notAfter.getUTCFullYear() + VALIDITY_YEARS);
+
+  const serial = crypto.randomBytes(16);
+  serial[0] = (serial[0] & 0x7f) | 0x40; // positive with no leading zero byte
+
+  const signatureAlgorithm = sequence(oid(OID_ECDSA_WITH_SHA256));
+  const tbsCertificate = sequence(
+    der(0xa0, integer(Buffer.from([2]))), // version: v3
+    integer(serial),
+    signatureAlgorithm,
+    commonName(COMMON_NAME),
+    sequence(time(notBefore), time(notAfter)),
+    commonName(COMMON_NAME),
+    publicKey.export({ type: 'spki', format: 'der' })
+  );
+  const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+  const certificate = sequence(tbsCertificate, signatureAlgorithm, der(0x03, Buffer.from([0]), signature));
+
+  const base64 = certificate.toString('base64').replace(/.{64}/g, '$&\n').trim();
+  return {
+    cert: `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`,
+    key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+}
+
+// Load the certificate and key from dir, generating them on first use
+function loadOrCreateCertificate(dir) {
+  const certFile = path.join(dir, CERT_FILE_NAME);
+  const keyFile = path.join(dir, KEY_FILE_NAME);
+  let created = false;
+
+  if (!fs.existsSync(certFile) || !fs.existsSync(keyFile)) {
+    const { cert, key } = generateCertificate();
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(keyFile, key, { mode: 0o600 });
+    fs.writeFileSync(certFile, cert);
+    created = true;
+  }
+
+  const cert = fs.readFileSync(certFile, 'utf8');
+  const key = fs.readFileSync(keyFile, 'utf8');
+  return {
+    cert,
+    key,
+    path: certFile,
+    fingerprint: new crypto.X509Certificate(cert).fingerprint256,
+    created
+  };
+}
+
+module.exports = { loadOrCreateCertificate, generateCertificate, CERT_FILE_NAME };
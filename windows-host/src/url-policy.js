@@ -0,0 +1,164 @@
+/**
+ * URL Policy
+ * Allow/deny URL patterns that decide which pages tools may load, read or
+ * script. Loaded from a JSON file:
+ *
+ *   { "allow": ["https://*.staging.example.com/*"], "deny": ["*.bank.com"] }
+ *
+ * Patterns containing "://" are scheme://host/path globs, with each part
+ * matched separately; other patterns are globs over the hostname; "/.../"
+ * patterns are regular expressions over the full URL. Deny wins over allow,
+ * and when an allow list is present a URL must match one of its entries.
+ * URLs must be absolute: "example.com" without a scheme is refused.
+ */
+
+const fs = require('fs');
+
+// Blank documents carry no content to protect, so they are always usable
+const ALWAYS_ALLOWED = new Set(['about:blank', 'about:srcdoc']);
+
+class PolicyError extends Error {
+  constructor(message, data) {
+    super(message);
+    this.name = 'PolicyError';
+    this.data = { code: 'policy_denied', ...data };
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// wildcard: what "*" may match
+function globToRegExp(glob, wildcard) {
+  return new RegExp(`^${glob.split('*').map(escapeRegExp).join(wildcard)}$`, 'i');
+}
+
+// In a hostname "*" matches within one label, so it can't reach into the path
+// or another domain. A leading "*." matches the domain itself and subdomains
+// at any depth: "*.bank.com" covers bank.com and www.login.bank.com.
+function hostMatcher(glob) {
+  if (glob === '*') {
+    return () => true;
+  }
+  const apex = glob.startsWith('*.');
+  const re = globToRegExp(apex ? glob.slice(2) : glob, '[^./]*');
+  const withPort = glob.includes(':');
+  return (url) => {
+    const host = withPort ? url.host : url.hostname;
+    if (!apex) {
+      return re.test(host);
+    }
+    const labels = host.split('.');
+    return labels.some((label, i) => re.test(labels.slice(i).join('.')));
+  };
+}
+
+function compileRule(pattern) {
+  if (typeof pattern !== 'string' || !pattern) {
+    throw new Error(`Invalid URL policy pattern: ${JSON.stringify(pattern)}`);
+  }
+
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regex) {
+    const re = new RegExp(regex[1], regex[2]);
+    return { pattern, matches: url => re.test(url.href) };
+  }
+
+  if (!pattern.includes('://')) {
+    return { pattern, matches: hostMatcher(pattern) };
+  }
+
+  // scheme://host/path, each part matched on its own; no path means any path
+  const parts = /^([^:/]+):\/\/([^/]*)(\/.*)?$/.exec(pattern);
+  if (!parts) {
+    throw new Error(`Invalid URL policy pattern: ${JSON.stringify(pattern)} (expected scheme://host/path)`);
+  }
+  const scheme = globToRegExp(parts[1], '[^:]*');
+  const host = hostMatcher(parts[2]);
+  const path = parts[3] ? globToRegExp(parts[3], '.*') : null;
+  return {
+    pattern,
+    matches: url => scheme.test(url.protocol.slice(0, -1)) && host(url) && (!path || path.test(url.pathname + url.search))
+  };
+}
+
+class UrlPolicy {
+  constructor({ allow = [], deny = [] } = {}) {
+    if (!Array.isArray(allow) || !Array.isArray(deny)) {
+      throw new Error('URL policy "allow" and "deny" must be arrays of patterns');
+    }
+    this.allow = allow.map(compileRule);
+    this.deny = deny.map(compileRule);
+  }
+
+  // Read a policy file; a missing file means no restrictions
+  static load(file) {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return new UrlPolicy();
+      }
+      throw new Error(`Failed to read URL policy ${file}: ${e.message}`);
+    }
+
+    try {
+      return new UrlPolicy(JSON.parse(text));
+    } catch (e) {
+      throw new Error(`Invalid URL policy ${file}: ${e.message}`);
+    }
+  }
+
+  get enabled() {
+    return this.allow.length > 0 || this.deny.length > 0;
+  }
+
+  /**
+   * Decide whether a URL may be used.
+   * @returns {{allowed: boolean, reason?: string, rule?: string}}
+   */
+  check(urlString) {
+    if (!this.enabled || ALWAYS_ALLOWED.has(urlString)) {
+      return { allowed: true };
+    }
+
+    let url;
+    try {
+      url = new URL(urlString);
+    } catch (e) {
+      return { allowed: false, reason: 'invalid_url' };
+    }
+
+    const denied = this.deny.find(rule => rule.matches(url));
+    if (denied) {
+      return { allowed: false, reason: 'denylisted', rule: denied.pattern };
+    }
+    if (this.allow.length > 0 && !this.allow.some(rule => rule.matches(url))) {
+      return { allowed: false, reason: 'not_allowlisted' };
+    }
+    return { allowed: true };
+  }
+
+  // Throw a PolicyError if the URL is not allowed; `what` describes it for the message
+  enforce(urlString, { tool, tabId, what }) {
+    const verdict = this.check(urlString);
+    if (verdict.allowed) {
+      return;
+    }
+
+    const because = verdict.reason === 'denylisted'
+      ? `it matches deny rule ${verdict.rule}`
+      : verdict.reason === 'invalid_url' ? 'it is not an absolute URL (include the scheme, e.g. https://)' : 'it matches no allow rule';
+    throw new PolicyError(`Blocked by URL policy: ${what} ${urlString} is not permitted because ${because}`, {
+      tool,
+      tabId: tabId ?? null,
+      url: urlString,
+      reason: verdict.reason,
+      rule: verdict.rule ?? null
+    });
+  }
+}
+
+module.exports = { UrlPolicy, PolicyError };
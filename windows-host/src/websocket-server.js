@@ -2,15 +2,40 @@
  * WebSocket Server for WSL Bridge connections
  */
 
+const https = require('https');
 const WebSocket = require('ws');
+const { HEARTBEAT_INTERVAL, HOST_HEADER, PROTOCOL_VERSION } = require('@claude-chrome-bridge/shared/protocol');
+const { tokensMatch } = require('./auth-token');
+
+// Token from an "Authorization: Bearer <token>" upgrade header
+function presentedToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
 
 class WSClient {
-  constructor(ws) {
+  // headers: the HTTP upgrade request's headers; remoteAddress: where it came from
+  constructor(ws, headers = {}, remoteAddress = null) {
     this.ws = ws;
+    this.headers = headers;
+    this.remoteAddress = remoteAddress;
+    this.connectedAt = Date.now();
     this.messageHandler = null;
     this.closeHandler = null;
     this.errorHandler = null;
 
+    this.pingSentAt = null; // set while a ping is unanswered
+    this.latency = null; // last ping round trip in ms
+    this.lastPongAt = null;
+
+    ws.on('pong', () => {
+      if (this.pingSentAt !== null) {
+        this.latency = Date.now() - this.pingSentAt;
+        this.pingSentAt = null;
+      }
+      this.lastPongAt = Date.now();
+    });
+
     ws.on('message', (data) => {
       try {
         const message = JSON.parse(data.toString());
@@ -58,13 +83,37 @@ class WSClient {
   close(code, reason) {
     this.ws.close(code, reason);
   }
+
+  // Ping the peer; returns false (after terminating it) if the last ping went unanswered
+  heartbeat() {
+    if (this.pingSentAt !== null) {
+      this.ws.terminate();
+      return false;
+    }
+    this.pingSentAt = Date.now();
+    this.ws.ping();
+    return true;
+  }
 }
 
 class WebSocketServer {
-  constructor(port) {
+  // tls: optional { cert, key } (PEM) to serve wss:// instead of ws://
+  // host: address to listen on; all interfaces by default, which WSL2 needs
+  constructor(port, token, tls = null, host = '0.0.0.0') {
+    if (!token) {
+      throw new Error('WebSocketServer requires an auth token');
+    }
     this.port = port;
+    this.host = host;
+    this.token = token;
+    this.tls = tls;
+    this.httpsServer = null;
     this.wss = null;
+    this.clients = new Set();
+    this.heartbeatTimer = null;
     this.connectionHandler = null;
+    this.rejectedHandler = null;
+    this.deadClientHandler = null;
     this.errorHandler = null;
   }
 
@@ -72,18 +121,55 @@ class WebSocketServer {
     this.connectionHandler = handler;
   }
 
+  // Called with the remote address of each connection refused for a missing or
+  // wrong token, and whether it presented a token at all
+  onRejected(handler) {
+    this.rejectedHandler = handler;
+  }
+
+  // Called with a client that stopped answering pings, just before it is dropped
+  onDeadClient(handler) {
+    this.deadClientHandler = handler;
+  }
+
   onError(handler) {
     this.errorHandler = handler;
   }
 
   start() {
-    this.wss = new WebSocket.Server({
-      port: this.port,
-      host: '0.0.0.0' // Listen on all interfaces (needed for WSL2 connections)
-    });
+    const verifyClient = ({ req }, done) => {
+      if (tokensMatch(this.token, presentedToken(req))) {
+        done(true);
+        return;
+      }
+      if (this.rejectedHandler) {
+        this.rejectedHandler(req.socket.remoteAddress, presentedToken(req) !== null);
+      }
+      // The header tells WSL host discovery that this 401 came from the bridge
+      done(false, 401, 'Unauthorized', { [HOST_HEADER]: String(PROTOCOL_VERSION) });
+    };
+
+    if (this.tls) {
+      this.httpsServer = https.createServer({ cert: this.tls.cert, key: this.tls.key });
+      this.httpsServer.on('error', (error) => {
+        if (this.errorHandler) {
+          this.errorHandler(error);
+        }
+      });
+      this.wss = new WebSocket.Server({ server: this.httpsServer, verifyClient });
+      this.httpsServer.listen(this.port, this.host);
+    } else {
+      this.wss = new WebSocket.Server({
+        port: this.port,
+        host: this.host,
+        verifyClient
+      });
+    }
 
     this.wss.on('connection', (ws, req) => {
-      const client = new WSClient(ws);
+      const client = new WSClient(ws, req.headers, req.socket.remoteAddress);
+      this.clients.add(client);
+      ws.on('close', () => this.clients.delete(client));
       if (this.connectionHandler) {
         this.connectionHandler(client);
       }
@@ -94,12 +180,25 @@ class WebSocketServer {
         this.errorHandler(error);
       }
     });
+
+    // A client that hasn't answered the previous ping by the next one is considered dead
+    this.heartbeatTimer = setInterval(() => {
+      for (const client of this.clients) {
+        if (!client.heartbeat() && this.deadClientHandler) {
+          this.deadClientHandler(client);
+        }
+      }
+    }, HEARTBEAT_INTERVAL);
   }
 
   close() {
+    clearInterval(this.heartbeatTimer);
     if (this.wss) {
       this.wss.close();
     }
+    if (this.httpsServer) {
+      this.httpsServer.close();
+    }
   }
 }
 
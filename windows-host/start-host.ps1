@@ -1,5 +1,11 @@
 # Start the Windows CDP Host
 # This script should be run AFTER Chrome is started with debugging
+# -CdpPort / -WsPort override the ports from config.json (e.g. one host per Chrome profile)
+
+param(
+    [int]$CdpPort = 9222,
+    [int]$WsPort = 19222
+)
 
 $ScriptDir = Split-Path -Parent $MyInvocation.MyCommand.Path
 
@@ -8,11 +14,11 @@ Write-Host ""
 
 # Check if Chrome debugging port is accessible
 try {
-    $response = Invoke-WebRequest -Uri "http://127.0.0.1:9222/json/version" -UseBasicParsing -TimeoutSec 5
+    $response = Invoke-WebRequest -Uri "http://127.0.0.1:$CdpPort/json/version" -UseBasicParsing -TimeoutSec 5
     Write-Host "Chrome debugging port is accessible!" -ForegroundColor Green
 } catch {
-    Write-Host "WARNING: Chrome debugging port (9222) is not accessible!" -ForegroundColor Red
-    Write-Host "Make sure Chrome is running with --remote-debugging-port=9222" -ForegroundColor Yellow
+    Write-Host "WARNING: Chrome debugging port ($CdpPort) is not accessible!" -ForegroundColor Red
+    Write-Host "Make sure Chrome is running with --remote-debugging-port=$CdpPort" -ForegroundColor Yellow
     Write-Host ""
     Write-Host "Run: .\start-chrome.ps1" -ForegroundColor Cyan
     Write-Host ""
@@ -20,10 +26,14 @@ try {
 }
 
 Write-Host ""
-Write-Host "Starting host on WebSocket port 19222..." -ForegroundColor Cyan
+Write-Host "Starting host on WebSocket port $WsPort..." -ForegroundColor Cyan
 Write-Host "Press Ctrl+C to stop" -ForegroundColor Gray
 Write-Host ""
 
-# Start the host
+# Start the host, passing on only the ports given on the command line
+$HostArgs = @()
+if ($PSBoundParameters.ContainsKey('CdpPort')) { $HostArgs += '--cdp-port', $CdpPort }
+if ($PSBoundParameters.ContainsKey('WsPort')) { $HostArgs += '--ws-port', $WsPort }
+
 Set-Location $ScriptDir
-node src/index.js
+node src/index.js @HostArgs
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { UrlPolicy, PolicyError } = require('../src/url-policy');
+
+const allowed = (policy, url) => policy.check(url).allowed;
+
+test('* in the host of a full-URL pattern stays within the hostname', () => {
+  const policy = new UrlPolicy({ allow: ['https://*.staging.example.com/*'] });
+  assert.ok(allowed(policy, 'https://app.staging.example.com/'));
+  assert.ok(allowed(policy, 'https://app.staging.example.com/a/b?q=1'));
+  assert.ok(!allowed(policy, 'https://evil.com/a.staging.example.com/'));
+  assert.ok(!allowed(policy, 'https://evil.com/?q=.staging.example.com/'));
+  assert.ok(!allowed(policy, 'https://evil.com#.staging.example.com/'));
+  assert.ok(!allowed(policy, 'https://evilstaging.example.com/'));
+  assert.ok(!allowed(policy, 'http://app.staging.example.com/'));
+});
+
+test('the path of a full-URL pattern is matched on its own', () => {
+  const policy = new UrlPolicy({ allow: ['https://docs.example.com/api/*', 'https://example.com'] });
+  assert.ok(allowed(policy, 'https://docs.example.com/api/v1'));
+  assert.ok(!allowed(policy, 'https://docs.example.com/admin/api/'));
+  // No path in the pattern means any path
+  assert.ok(allowed(policy, 'https://example.com/anything'));
+  assert.ok(!allowed(policy, 'https://example.com.evil.com/'));
+});
+
+test('a leading *. covers the domain itself and subdomains at any depth', () => {
+  const policy = new UrlPolicy({ deny: ['*.bank.com'] });
+  assert.strictEqual(policy.check('https://bank.com/').reason, 'denylisted');
+  assert.strictEqual(policy.check('https://www.bank.com/').reason, 'denylisted');
+  assert.strictEqual(policy.check('https://www.login.bank.com/').reason, 'denylisted');
+  assert.ok(allowed(policy, 'https://notbank.com/'));
+  assert.ok(allowed(policy, 'https://bank.com.evil.com/'));
+});
+
+test('* inside a hostname label does not cross dots', () => {
+  const policy = new UrlPolicy({ allow: ['app-*.example.com'] });
+  assert.ok(allowed(policy, 'https://app-1.example.com/'));
+  assert.ok(!allowed(policy, 'https://app-1.evil.com.example.com/'));
+});
+
+test('hostname patterns ignore credentials in the URL', () => {
+  const policy = new UrlPolicy({ deny: ['bank.com'] });
+  assert.strictEqual(policy.check('https://bank.com@evil.com/').allowed, true);
+  assert.strictEqual(policy.check('https://evil.com@bank.com/').reason, 'denylisted');
+});
+
+test('regular expression patterns match the full URL', () => {
+  const policy = new UrlPolicy({ deny: ['/bank/i'] });
+  assert.strictEqual(policy.check('https://example.com/BANK').reason, 'denylisted');
+});
+
+test('scheme-less URLs are refused as invalid_url when a policy is enabled', () => {
+  const policy = new UrlPolicy({ allow: ['example.com'] });
+  assert.strictEqual(policy.check('example.com').reason, 'invalid_url');
+  assert.throws(() => policy.enforce('example.com', { tool: 'navigate', what: 'navigation target' }), (error) =>
+    error instanceof PolicyError && error.data.code === 'policy_denied' && /absolute URL/.test(error.message));
+  assert.ok(allowed(new UrlPolicy(), 'example.com'));
+});
+
+test('about:blank is always allowed', () => {
+  assert.ok(allowed(new UrlPolicy({ allow: ['example.com'] }), 'about:blank'));
+});
+
+test('malformed full-URL patterns are rejected', () => {
+  assert.throws(() => new UrlPolicy({ allow: ['://example.com'] }));
+});
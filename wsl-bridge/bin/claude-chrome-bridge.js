@@ -3,25 +3,29 @@
 /**
  * Claude Chrome Bridge CLI
  *
- * Start the WSL bridge to connect Claude Code with Chrome on Windows
+ * Run the WSL side of the bridge (the Unix socket bridge or the MCP server),
+ * or query and drive the Windows host from the shell. See `claude-chrome-bridge help`.
  */
 
-const { WSLBridge } = require('../src/index');
+const { loadConfig } = require('@claude-chrome-bridge/shared/config');
+const { logger } = require('@claude-chrome-bridge/shared/logger');
+const { runCommand } = require('../src/cli');
 
-const bridge = new WSLBridge();
+logger.configure({ component: 'wsl-bridge', prefix: 'Bridge' });
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n[Bridge] Shutting down...');
-  bridge.shutdown();
-  process.exit(0);
-});
+let loaded;
+try {
+  loaded = loadConfig({ argv: process.argv.slice(2) });
+  logger.useConfig(loaded);
+} catch (e) {
+  logger.error(e.message);
+  process.exit(1);
+}
 
-process.on('SIGTERM', () => {
-  console.log('\n[Bridge] Shutting down...');
-  bridge.shutdown();
-  process.exit(0);
+const [command = 'bridge', ...args] = loaded.args;
+runCommand(command, args, loaded.config).then((code) => {
+  // Long-running commands (bridge, mcp) resolve without an exit code
+  if (code !== undefined) {
+    process.exit(code);
+  }
 });
-
-// Start the bridge
-bridge.start();
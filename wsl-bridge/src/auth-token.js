@@ -0,0 +1,99 @@
+/**
+ * Auth Token
+ * Locates the shared secret the Windows host generated on first run and
+ * builds the headers that present it during the WebSocket handshake
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const BRIDGE_DIR_NAME = '.claude-chrome-bridge';
+const TOKEN_FILE_NAME = 'token';
+const WINDOWS_USERS_DIR = '/mnt/c/Users';
+
+let windowsProfileDir; // cached; undefined until looked up, null if unavailable
+
+// The Windows user's profile directory as a WSL path (e.g. /mnt/c/Users/me)
+function getWindowsProfileDir() {
+  if (windowsProfileDir !== undefined) {
+    return windowsProfileDir;
+  }
+
+  windowsProfileDir = null;
+  try {
+    const profile = execSync('cmd.exe /c echo %USERPROFILE%', {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 5000
+    }).trim();
+    if (profile && !profile.includes('%')) {
+      windowsProfileDir = execSync(`wslpath -u '${profile.replace(/'/g, "'\\''")}'`, {
+        encoding: 'utf8',
+        timeout: 5000
+      }).trim();
+    }
+  } catch (e) {
+    // Not running under WSL interop; fall back to scanning /mnt/c/Users
+  }
+  return windowsProfileDir;
+}
+
+// Where a file the host keeps in %USERPROFILE%\.claude-chrome-bridge may be, most likely first
+function candidateHostFiles(fileName) {
+  const relativePath = path.join(BRIDGE_DIR_NAME, fileName);
+
+  const profileDir = getWindowsProfileDir();
+  if (profileDir) {
+    return [path.join(profileDir, relativePath)];
+  }
+
+  try {
+    return fs.readdirSync(WINDOWS_USERS_DIR)
+      .map(user => path.join(WINDOWS_USERS_DIR, user, relativePath))
+      .filter(file => fs.existsSync(file))
+      .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Read the host's auth token. CLAUDE_BRIDGE_TOKEN wins, then the file named by
+ * CLAUDE_BRIDGE_TOKEN_FILE, then the token in the Windows user's profile.
+ * The file is re-read on every call so a regenerated token is picked up on reconnect.
+ */
+function readToken() {
+  if (process.env.CLAUDE_BRIDGE_TOKEN) {
+    return process.env.CLAUDE_BRIDGE_TOKEN.trim();
+  }
+
+  const candidates = process.env.CLAUDE_BRIDGE_TOKEN_FILE
+    ? [process.env.CLAUDE_BRIDGE_TOKEN_FILE]
+    : candidateHostFiles(TOKEN_FILE_NAME);
+  for (const file of candidates) {
+    try {
+      const token = fs.readFileSync(file, 'utf8').trim();
+      if (token) {
+        return token;
+      }
+    } catch (e) {
+      // Try the next candidate
+    }
+  }
+
+  const looked = candidates.length > 0 ? candidates.join(', ') : `${WINDOWS_USERS_DIR}/*/${BRIDGE_DIR_NAME}/${TOKEN_FILE_NAME}`;
+  throw new Error(`No auth token found (looked in ${looked}). Start the Windows host once to generate it, or set CLAUDE_BRIDGE_TOKEN.`);
+}
+
+// Headers for the WebSocket upgrade request
+function authHeaders() {
+  return { Authorization: `Bearer ${readToken()}` };
+}
+
+// Whether a WebSocket error is the host refusing our token
+function isAuthError(error) {
+  return /Unexpected server response: 401/.test(error.message);
+}
+
+module.exports = { readToken, authHeaders, isAuthError, candidateHostFiles };
@@ -0,0 +1,282 @@
+/**
+ * Browser Tools
+ * The tool definitions the MCP server advertises, and how long each call may
+ * take. Loading this module has no side effects, so the command-line tools
+ * can use the schemas and timeouts without the MCP server.
+ */
+
+// How long to wait for the host before failing a tool call. Tools not listed
+// here use the toolTimeout setting.
+const TOOL_TIMEOUTS = {
+  tabs_context_mcp: 15000,
+  tabs_create_mcp: 15000,
+  tabs_close_mcp: 15000,
+  tabs_activate_mcp: 15000,
+  console_logs: 15000,
+  get_page_text: 30000,
+  find: 30000,
+  form_input: 30000,
+  network_requests: 30000
+};
+// Added on top of a timeout/duration the call itself asks for (navigate timeout, computer wait)
+const TIMEOUT_GRACE = 5000;
+
+function toolTimeout(toolName, args, defaultTimeout) {
+  const base = TOOL_TIMEOUTS[toolName] || defaultTimeout;
+  const requested = toolName === 'navigate' ? args.timeout
+    : toolName === 'computer' && args.action === 'wait' ? args.duration
+    : undefined;
+  return typeof requested === 'number' ? Math.max(base, requested + TIMEOUT_GRACE) : base;
+}
+
+// Browser automation tools that we expose
+const BROWSER_TOOLS = [
+  {
+    name: 'computer',
+    description: 'Control the browser with mouse and keyboard actions, take screenshots',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['screenshot', 'left_click', 'right_click', 'middle_click', 'double_click', 'triple_click', 'mouse_move', 'hover', 'left_click_drag', 'type', 'key', 'scroll', 'wait'],
+          description: 'The action to perform'
+        },
+        coordinate: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'x, y coordinates for click actions (the end point for left_click_drag), in the pixels of the last screenshot'
+        },
+        start_coordinate: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'x, y coordinates where left_click_drag starts'
+        },
+        modifiers: {
+          type: 'string',
+          description: 'Modifier keys held during mouse actions, e.g. "ctrl", "shift+alt"'
+        },
+        fullPage: {
+          type: 'boolean',
+          description: 'screenshot: capture the whole scrollable page instead of the viewport'
+        },
+        region: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'screenshot: capture only [x0, y0, x1, y1] of the viewport'
+        },
+        format: {
+          type: 'string',
+          enum: ['png', 'jpeg', 'webp'],
+          description: 'screenshot: image format (default png)'
+        },
+        quality: {
+          type: 'number',
+          description: 'screenshot: jpeg/webp quality 0-100 (default 80)'
+        },
+        maxSize: {
+          type: 'number',
+          description: 'screenshot: longest edge of the image in pixels; larger captures are downscaled (default 1568, 0 for full resolution)'
+        },
+        repeat: {
+          type: 'number',
+          description: 'Number of times to press the key sequence (key action, default 1)'
+        },
+        ref: {
+          type: 'string',
+          description: 'Element reference from find or read_page; pointer actions target its centre instead of coordinate, screenshot captures just that element'
+        },
+        text: {
+          type: 'string',
+          description: 'Text to type, or for key: a key or chord such as "Enter", "ctrl+a", "shift+Tab"; separate several with spaces'
+        },
+        tabId: {
+          type: 'string',
+          description: 'Tab ID to perform action on'
+        }
+      },
+      required: ['action', 'tabId']
+    }
+  },
+  {
+    name: 'navigate',
+    description: 'Navigate to a URL (or back, forward, reload) and wait for the page to load. Returns the final URL, HTTP status, title and any navigation error',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'URL to navigate to (required for goto)' },
+        tabId: { type: 'string', description: 'Tab ID to navigate' },
+        action: {
+          type: 'string',
+          enum: ['goto', 'back', 'forward', 'reload'],
+          description: 'Navigation to perform (default goto)'
+        },
+        waitUntil: {
+          type: 'string',
+          enum: ['load', 'domcontentloaded', 'networkidle', 'selector', 'none'],
+          description: 'Condition to wait for before returning (default load, or selector when selector is set)'
+        },
+        selector: { type: 'string', description: 'CSS selector to wait for when waitUntil is selector' },
+        timeout: { type: 'number', description: 'Max time to wait in ms (default 30000)' },
+        ignoreCache: { type: 'boolean', description: 'Bypass the cache when reloading' }
+      },
+      required: ['tabId']
+    }
+  },
+  {
+    name: 'read_page',
+    description: 'Get the accessibility tree of the current page as an indented outline of role, name, value and state. Each element carries a ref usable by find, form_input and computer. Long pages are paginated with nextCursor',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tabId: { type: 'string', description: 'Tab ID to read' },
+        filter: {
+          type: 'string',
+          enum: ['all', 'interactive'],
+          description: 'all (default) or interactive elements only (buttons, links, inputs, ...)'
+        },
+        depth: { type: 'number', description: 'Max levels to render below the starting node (default unlimited)' },
+        ref: { type: 'string', description: 'Element reference to start from instead of the document root' },
+        maxChars: { type: 'number', description: 'Max characters of outline to return (default 20000)' },
+        cursor: { type: 'string', description: 'nextCursor from a previous call, to continue a long outline' }
+      },
+      required: ['tabId']
+    }
+  },
+  {
+    name: 'tabs_context_mcp',
+    description: 'List browser tabs with their URL, title, loading state and opener, and report which tab is focused',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        createIfEmpty: { type: 'boolean', description: 'Create tab if none exists' }
+      }
+    }
+  },
+  {
+    name: 'tabs_create_mcp',
+    description: 'Create a new browser tab',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'URL to open (default about:blank)' }
+      }
+    }
+  },
+  {
+    name: 'tabs_close_mcp',
+    description: 'Close a browser tab',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tabId: { type: 'string', description: 'Tab ID to close' }
+      },
+      required: ['tabId']
+    }
+  },
+  {
+    name: 'tabs_activate_mcp',
+    description: 'Bring a browser tab to the front and make it the focused tab',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tabId: { type: 'string', description: 'Tab ID to activate' }
+      },
+      required: ['tabId']
+    }
+  },
+  {
+    name: 'find',
+    description: 'Find elements on the page by plain-language description (e.g. "login button", "email field"), CSS selector or XPath. Returns ranked element references (ref_N) with bounding boxes: box is in the pixels of the last screenshot (the space computer coordinates use), cssBox in CSS pixels',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to find: a description matched against accessible names, roles, labels, placeholders and text; a CSS selector; or an XPath starting with /' },
+        limit: { type: 'number', description: 'Max elements to return (default 10, at most 100)' },
+        tabId: { type: 'string', description: 'Tab ID to search' }
+      },
+      required: ['query', 'tabId']
+    }
+  },
+  {
+    name: 'form_input',
+    description: 'Fill form fields',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ref: { type: 'string', description: 'Element reference (ref_N) from find or read_page' },
+        value: { type: 'string', description: 'Value to set' },
+        tabId: { type: 'string', description: 'Tab ID' }
+      },
+      required: ['ref', 'value', 'tabId']
+    }
+  },
+  {
+    name: 'get_page_text',
+    description: 'Extract text content from page',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tabId: { type: 'string', description: 'Tab ID' }
+      },
+      required: ['tabId']
+    }
+  },
+  {
+    name: 'javascript_tool',
+    description: 'Execute JavaScript in page context',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', const: 'javascript_exec' },
+        text: { type: 'string', description: 'JavaScript code' },
+        tabId: { type: 'string', description: 'Tab ID' }
+      },
+      required: ['action', 'text', 'tabId']
+    }
+  },
+  {
+    name: 'console_logs',
+    description: 'Read browser console output, uncaught exceptions and browser log entries (with source location and stack traces), captured since the tab was first attached',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tabId: { type: 'string', description: 'Tab ID' },
+        limit: { type: 'number', description: 'Max entries to return (default 50)' },
+        types: {
+          type: 'array',
+          items: { type: 'string', enum: ['log', 'warn', 'error', 'info', 'debug', 'table', 'trace', 'dir', 'assert', 'count', 'timeEnd'] },
+          description: 'Filter by log type (default log, warn, error, info)'
+        },
+        clear: { type: 'boolean', description: 'Clear buffer after reading (default false)' },
+        since: { type: 'string', description: 'ISO timestamp - only return logs after this time' }
+      },
+      required: ['tabId']
+    }
+  },
+  {
+    name: 'network_requests',
+    description: 'List HTTP requests made by the page (URL, method, status, type, timing), or fetch one response body',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tabId: { type: 'string', description: 'Tab ID' },
+        urlPattern: { type: 'string', description: 'Only requests whose URL contains this text, or matches it when written as /regex/' },
+        resourceTypes: {
+          type: 'array',
+          items: { type: 'string', enum: ['Document', 'Stylesheet', 'Image', 'Media', 'Font', 'Script', 'XHR', 'Fetch', 'EventSource', 'WebSocket', 'Manifest', 'Ping', 'Preflight', 'Other'] },
+          description: 'Filter by resource type (default all)'
+        },
+        status: { type: 'string', description: 'Filter by status: exact code ("404"), class ("4xx") or "failed"' },
+        limit: { type: 'number', description: 'Max entries to return (default 50)' },
+        clear: { type: 'boolean', description: 'Clear buffer after reading (default false)' },
+        since: { type: 'string', description: 'ISO timestamp - only return requests started after this time' },
+        requestId: { type: 'string', description: 'Return this request with its response body instead of a list' },
+        maxBodyLength: { type: 'number', description: 'Max response body characters to return (default 100000)' }
+      },
+      required: ['tabId']
+    }
+  }
+];
+
+module.exports = { BROWSER_TOOLS, toolTimeout };
@@ -0,0 +1,307 @@
+/**
+ * Command-line interface
+ * The commands of `claude-chrome-bridge`. Setting flags (--ws-port etc.) have
+ * already been taken out of the arguments by loadConfig; what's left is the
+ * command and its own arguments.
+ */
+
+const fs = require('fs');
+const { logger } = require('@claude-chrome-bridge/shared/logger');
+const { discoverHost } = require('./host-discovery');
+const { connectToHost, callTool, fetchStatus } = require('./host-client');
+const { BROWSER_TOOLS, toolTimeout } = require('./browser-tools');
+
+const USAGE = `Usage: claude-chrome-bridge [command] [options]
+
+Commands:
+  bridge              Run the Unix socket bridge (the default)
+  mcp                 Run the stdio MCP server for Claude Code
+  status [--json]     Show the Windows host's status
+  tabs [--json]       List Chrome tabs
+  call <tool> [--<arg> <value> ...] [--out <file>]
+                      Call a browser tool and print its result. Values of
+                      string arguments are taken as typed; the others are
+                      parsed as JSON (numbers, true, [x, y]). Images are saved
+                      to --out, or to <tool>-<time>.<format> in the current
+                      directory.
+  replay <file> [--realtime] [--compare-images] [--ignore <key,...>] [--json]
+                      Send the calls in a session recording (--record) to the
+                      host again and report the results that differ
+  doctor              Check every hop from WSL to Chrome and suggest fixes
+  help                Show this help
+
+Setting flags such as --ws-port and --windows-host work with every command.`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Split "--name value", "--name=value" and bare "--name" (true) options from
+ * positional arguments. Values are left as the strings given.
+ */
+function parseOptions(args) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([^=]+)(?:=(.*))?$/s.exec(args[i]);
+    if (!match) {
+      positional.push(args[i]);
+      continue;
+    }
+    let value = match[2];
+    if (value === undefined) {
+      value = i + 1 < args.length && !args[i + 1].startsWith('--') ? args[++i] : true;
+    }
+    options[match[1]] = value;
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Turn call's option strings into tool arguments using the tool's input
+ * schema: string properties keep the text as given, so `--text 123` stays
+ * "123"; other values are JSON-parsed when they can be.
+ */
+function toolArguments(toolName, options) {
+  const properties = BROWSER_TOOLS.find(tool => tool.name === toolName)?.inputSchema.properties || {};
+  const args = {};
+  for (const [name, value] of Object.entries(options)) {
+    if (properties[name]?.type === 'string') {
+      if (value === true) {
+        throw new UsageError(`--${name} needs a value`);
+      }
+      args[name] = value;
+      continue;
+    }
+    try {
+      args[name] = value === true ? true : JSON.parse(value);
+    } catch (e) {
+      args[name] = value;
+    }
+  }
+  return args;
+}
+
+// Throw a UsageError naming the first option not in allowed
+function checkOptions(options, allowed) {
+  const unknown = Object.keys(options).find(name => !allowed.includes(name));
+  if (unknown) {
+    throw new UsageError(`Unknown option: --${unknown}`);
+  }
+}
+
+function noArguments(args) {
+  if (args.length > 0) {
+    throw new UsageError(`Unexpected argument: ${args[0]}`);
+  }
+}
+
+// Run fn with a connection to the host, closing it afterwards
+async function withHost(config, profile, fn) {
+  const { ws } = await connectToHost(config, { profile });
+  try {
+    return await fn(ws);
+  } finally {
+    ws.close();
+  }
+}
+
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return h > 0 ? `${h}h ${m}m` : m > 0 ? `${m}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function printStatus(found, status) {
+  const rows = [
+    ['Windows host', `${found.url} (found via ${found.method}), PID ${status.pid}, up ${formatDuration(status.uptime)}`],
+    ['Chrome', status.chrome.reachable
+      ? `reachable on ${status.chrome.host}:${status.chrome.port}`
+      : `NOT reachable on ${status.chrome.host}:${status.chrome.port}: ${status.chrome.error}`],
+    ['Clients', status.clients.length === 0 ? 'none' : status.clients
+      .map(client => `#${client.id} ${client.software || 'unknown'} (${client.profile}${client.latencyMs !== null ? `, ${client.latencyMs}ms` : ''})`)
+      .join('; ')],
+    ['In flight', status.inFlight.length === 0 ? 'none' : status.inFlight
+      .map(call => `${call.tool} ${Math.round(call.elapsedMs / 1000)}s`)
+      .join('; ')],
+    ['Tabs', `${status.tabs.length} open, ${status.tabs.filter(tab => tab.attached).length} attached`]
+  ];
+  for (const [name, value] of rows) {
+    console.log(`${name.padEnd(14)}${value}`);
+  }
+
+  const tools = Object.entries(status.tools);
+  if (tools.length > 0) {
+    console.log(`\n${'Tool'.padEnd(20)}${['Calls', 'Errors', 'p50', 'p90', 'p99'].map(h => h.padStart(8)).join('')}`);
+    for (const [tool, stats] of tools) {
+      const latency = ['p50', 'p90', 'p99'].map(p => (stats.latencyMs[p] === null ? '-' : `${stats.latencyMs[p]}ms`).padStart(8));
+      console.log(`${tool.padEnd(20)}${String(stats.calls).padStart(8)}${String(stats.errors).padStart(8)}${latency.join('')}`);
+    }
+  }
+}
+
+// Write an image result's data to a file and return the result with the data replaced by the path
+function saveImage(toolName, result, out) {
+  const format = (result.mediaType || 'image/png').split('/')[1];
+  const file = out || `${toolName}-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+  fs.writeFileSync(file, Buffer.from(result.data, 'base64'));
+  const { data, ...rest } = result;
+  return { ...rest, savedTo: file };
+}
+
+// name -> run(args, config). Long-running commands resolve with undefined;
+// one-shot commands resolve with the process exit code.
+const COMMANDS = {
+  bridge(args, config) {
+    noArguments(args);
+    const { WSLBridge } = require('./index');
+    logger.configure({ prefix: 'Bridge' });
+    const bridge = new WSLBridge(config);
+
+    // Handle graceful shutdown
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.on(signal, () => {
+        logger.info('Shutting down...');
+        bridge.shutdown();
+        process.exit(0);
+      });
+    }
+
+    bridge.start();
+  },
+
+  mcp(args, config) {
+    noArguments(args);
+    const { MCPServer } = require('./mcp-server');
+    logger.configure({ prefix: 'MCP Bridge' });
+    new MCPServer(config).start().catch((error) => {
+      logger.error(`Failed to start: ${error.message}`);
+      process.exit(1);
+    });
+  },
+
+  async status(args, config) {
+    const { positional, options } = parseOptions(args);
+    noArguments(positional);
+    checkOptions(options, ['json']);
+    const found = await discoverHost({ port: config.wsPort, windowsHost: config.windowsHost, tls: config.tls });
+    const status = await fetchStatus(found.host, config.statusPort, found.url.startsWith('wss:'));
+    if (options.json) {
+      console.log(JSON.stringify(status, null, 2));
+    } else {
+      printStatus(found, status);
+    }
+    return status.chrome.reachable ? 0 : 1;
+  },
+
+  async tabs(args, config) {
+    const { positional, options } = parseOptions(args);
+    noArguments(positional);
+    checkOptions(options, ['json']);
+    const result = await withHost(config, 'read-only', ws => callTool(ws, 'tabs_context_mcp', {}));
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return 0;
+    }
+    const width = Math.max(2, ...result.tabs.map(tab => String(tab.id).length));
+    for (const tab of result.tabs) {
+      const active = tab.id === result.activeTabId ? '*' : ' ';
+      console.log(`${active} ${String(tab.id).padEnd(width)}  ${(tab.title || '').slice(0, 40).padEnd(40)}  ${tab.url}`);
+    }
+    if (result.tabs.length === 0) {
+      console.log('No tabs open');
+    }
+    return 0;
+  },
+
+  async call(args, config) {
+    const { positional, options } = parseOptions(args);
+    const [toolName, ...extra] = positional;
+    if (!toolName) {
+      throw new UsageError('call needs a tool name, e.g. call computer --action screenshot');
+    }
+    if (extra.length > 0) {
+      throw new UsageError(`Unexpected argument: ${extra[0]} (tool arguments are written --name value)`);
+    }
+    const { out, ...rest } = options;
+    if (out === true) {
+      throw new UsageError('--out needs a file name');
+    }
+    const toolArgs = toolArguments(toolName, rest);
+
+    try {
+      let result = await withHost(config, config.profile, ws => callTool(ws, toolName, toolArgs, toolTimeout(toolName, toolArgs, config.toolTimeout)));
+      if (result?.type === 'image' && result.data) {
+        result = saveImage(toolName === 'computer' ? toolArgs.action : toolName, result, out);
+      }
+      console.log(JSON.stringify(result, null, 2));
+      return 0;
+    } catch (e) {
+      console.error(`${toolName} failed: ${e.message}`);
+      if (e.data) {
+        console.error(JSON.stringify(e.data, null, 2));
+      }
+      return 1;
+    }
+  },
+
+  async replay(args, config) {
+    const { positional, options } = parseOptions(args);
+    const [file, ...extra] = positional;
+    if (!file) {
+      throw new UsageError('replay needs a session file, e.g. replay session.jsonl');
+    }
+    noArguments(extra);
+    checkOptions(options, ['realtime', 'compare-images', 'ignore', 'json']);
+
+    const { replaySession } = require('./session-replay');
+    const report = await replaySession(file, config, {
+      realtime: options.realtime === true,
+      compareImages: options['compare-images'] === true,
+      ignore: options.ignore ? String(options.ignore).split(',') : [],
+      json: options.json === true
+    });
+    return report.different > 0 ? 1 : 0;
+  },
+
+  async doctor(args, config) {
+    noArguments(args);
+    const { runDoctor } = require('./doctor');
+    return (await runDoctor(config)) ? 0 : 1;
+  },
+
+  help() {
+    console.log(USAGE);
+    return 0;
+  }
+};
+
+/**
+ * Run a command. Resolves with an exit code for one-shot commands, or
+ * undefined for commands that keep running. Usage mistakes print the usage
+ * and resolve with 2; other failures print the error and resolve with 1.
+ */
+async function runCommand(command, args, config) {
+  const name = ['--help', '-h'].includes(command) ? 'help' : command;
+  try {
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, name)) {
+      throw new UsageError(`Unknown command: ${command}`);
+    }
+    return await COMMANDS[name](args, config);
+  } catch (e) {
+    if (e instanceof UsageError) {
+      console.error(`${e.message}\n\n${USAGE}`);
+      return 2;
+    }
+    console.error(`${command} failed: ${e.message}`);
+    return 1;
+  }
+}
+
+module.exports = { runCommand, USAGE };
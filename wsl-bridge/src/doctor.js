@@ -0,0 +1,271 @@
+/**
+ * Doctor
+ * End-to-end diagnostics for `claude-chrome-bridge doctor`. Checks each hop
+ * from WSL to a Chrome tab in order, and prints a specific fix for the first
+ * thing that's wrong. Checks that depend on a failed one are skipped.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const WebSocket = require('ws');
+const { authHeaders, isAuthError } = require('./auth-token');
+const { tlsOptions } = require('./tls-pinning');
+const { discoverHost, candidates, hostUrl } = require('./host-discovery');
+const { performHandshake } = require('./handshake');
+const { PROFILE_HEADER } = require('./permissions');
+const { callTool, fetchStatus } = require('./host-client');
+
+const TCP_TIMEOUT = 3000;
+
+// A failed check: what went wrong and what to do about it
+class CheckFailed extends Error {
+  constructor(message, fix) {
+    super(message);
+    this.name = 'CheckFailed';
+    this.fix = fix;
+  }
+}
+
+// A check that passed with something worth pointing out
+class CheckWarning extends CheckFailed {
+  constructor(message, fix) {
+    super(message, fix);
+    this.name = 'CheckWarning';
+  }
+}
+
+function firewallFix(port) {
+  return `Allow the port through Windows Firewall. In an administrator PowerShell run:\n` +
+    `New-NetFirewallRule -DisplayName "Claude Chrome Bridge ${port}" -Direction Inbound -Protocol TCP -LocalPort ${port} -Action Allow`;
+}
+
+function chromeFix(port) {
+  return `Start Chrome with --remote-debugging-port=${port} (windows-host\\start-chrome.ps1 does this). ` +
+    'Close every Chrome window first, or pass a separate --user-data-dir, or the flag is ignored.';
+}
+
+// Resolve with the connect time, or reject with the socket error code
+function tcpConnect(host, port) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const socket = net.connect({ host, port });
+    socket.setTimeout(TCP_TIMEOUT, () => {
+      socket.destroy();
+      reject(Object.assign(new Error(`No answer within ${TCP_TIMEOUT}ms`), { code: 'ETIMEDOUT' }));
+    });
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve(Date.now() - started);
+    });
+    socket.once('error', reject);
+  });
+}
+
+// Each check gets the state earlier checks filled in and returns a one-line summary
+const CHECKS = [
+  {
+    name: 'Host discovery',
+    async run(state, config) {
+      try {
+        const found = await discoverHost({ port: config.wsPort, windowsHost: config.windowsHost, tls: config.tls });
+        state.host = found.host;
+        state.tls = found.url.startsWith('wss:');
+        return `${found.host} (${found.method}${found.cached ? ', cached' : ''})`;
+      } catch (e) {
+        // Keep going with the likeliest address, so the next check can say why it isn't answering
+        state.host = config.windowsHost || candidates(null).find(candidate => !candidate.cached && candidate.host !== '127.0.0.1')?.host || '127.0.0.1';
+        state.tls = config.tls;
+        throw new CheckFailed(e.message,
+          `Make sure the Windows host is running (windows-host\\start-host.ps1). If it is, the checks below narrow down why ${state.host} doesn't answer. ` +
+          'If Windows is at another address, set WINDOWS_HOST_IP (or windowsHost in the config file).');
+      }
+    }
+  },
+  {
+    name: 'TCP connection',
+    needs: 'host',
+    async run(state, config) {
+      const target = `${state.host}:${config.wsPort}`;
+      try {
+        const ms = await tcpConnect(state.host, config.wsPort);
+        state.tcp = true;
+        return `${target} accepted the connection in ${ms}ms`;
+      } catch (e) {
+        if (e.code === 'ECONNREFUSED') {
+          throw new CheckFailed(`${target} refused the connection`,
+            `Nothing is listening on port ${config.wsPort} there. Start the Windows host, and check that its wsPort matches this side's (${config.wsPort}).`);
+        }
+        if (e.code === 'ETIMEDOUT') {
+          throw new CheckFailed(`${target} did not answer within ${TCP_TIMEOUT}ms`, firewallFix(config.wsPort));
+        }
+        if (e.code === 'EHOSTUNREACH' || e.code === 'ENETUNREACH') {
+          throw new CheckFailed(`${state.host} is unreachable (${e.code})`,
+            'This is not Windows\' address from WSL. Unset WINDOWS_HOST_IP to let discovery find it, or set it to the address from `ip route show default`.');
+        }
+        throw new CheckFailed(`${target}: ${e.message}`, 'Check the network between WSL and Windows.');
+      }
+    }
+  },
+  {
+    name: 'WebSocket handshake',
+    needs: 'tcp',
+    async run(state, config) {
+      let options;
+      try {
+        options = { headers: { ...authHeaders(), [PROFILE_HEADER]: 'read-only' }, ...(state.tls ? tlsOptions() : {}) };
+      } catch (e) {
+        throw new CheckFailed(e.message, 'The host writes the token (and certificate) to %USERPROFILE%\\.claude-chrome-bridge on first start. Point CLAUDE_BRIDGE_TOKEN_FILE at it if /mnt/c is mounted elsewhere.');
+      }
+
+      const ws = new WebSocket(hostUrl(state.host, config.wsPort, state.tls), options);
+      try {
+        await new Promise((resolve, reject) => {
+          ws.once('open', resolve);
+          ws.once('error', reject);
+        });
+        const capabilities = await performHandshake(ws);
+        state.ws = ws;
+        const software = capabilities.host ? `${capabilities.host.name} ${capabilities.host.version}` : 'Windows host';
+        return `${software}, profile ${capabilities.profile}, ${capabilities.tools.length} tools`;
+      } catch (e) {
+        ws.terminate();
+        if (isAuthError(e)) {
+          throw new CheckFailed('The host rejected the auth token',
+            'The token this side read is not the host\'s. Unset CLAUDE_BRIDGE_TOKEN, or point CLAUDE_BRIDGE_TOKEN_FILE at %USERPROFILE%\\.claude-chrome-bridge\\token.');
+        }
+        if (/^(EPROTO|ECONNRESET|ERR_TLS|ERR_SSL|DEPTH_ZERO|SELF_SIGNED)/.test(e.code || '') || /certificate/i.test(e.message)) {
+          throw new CheckFailed(e.message, 'Set tls (CLAUDE_BRIDGE_TLS) the same on both sides. If the host regenerated its certificate, unset CLAUDE_BRIDGE_CERT_FINGERPRINT.');
+        }
+        throw new CheckFailed(e.message, 'Copy the same release of windows-host/ to Windows and restart the host.');
+      }
+    }
+  },
+  {
+    name: 'Chrome connection',
+    needs: 'ws',
+    async run(state, config) {
+      let status;
+      try {
+        status = await fetchStatus(state.host, config.statusPort, state.tls);
+      } catch (e) {
+        // Only the status endpoint is unreachable; tab listing below still tests Chrome
+        state.chrome = true;
+        throw new CheckWarning(`Status endpoint on port ${config.statusPort} unavailable (${e.code || e.message})`,
+          e.code === 'ETIMEDOUT' ? firewallFix(config.statusPort) : 'Check that statusPort matches the host\'s, or update the Windows host.');
+      }
+      if (!status.chrome.reachable) {
+        throw new CheckFailed(`The host cannot reach Chrome at ${status.chrome.host}:${status.chrome.port}: ${status.chrome.error}`, chromeFix(status.chrome.port));
+      }
+      state.chrome = true;
+      return `Chrome answers on ${status.chrome.host}:${status.chrome.port}; ${status.clients.length} client(s) connected`;
+    }
+  },
+  {
+    name: 'Tab listing',
+    needs: 'chrome',
+    async run(state, config) {
+      let result;
+      try {
+        result = await callTool(state.ws, 'tabs_context_mcp', {});
+      } catch (e) {
+        throw new CheckFailed(e.message, /Chrome not available/.test(e.message) ? chromeFix(config.cdpPort) : 'See the Windows host log for details.');
+      }
+      const pages = result.tabs || [];
+      if (pages.length === 0) {
+        throw new CheckFailed('Chrome has no open tabs', 'Open a tab in the debugging Chrome window.');
+      }
+      state.tabId = result.activeTabId ?? pages[0].id;
+      return `${pages.length} tab(s); using ${state.tabId} (${pages.find(tab => tab.id === state.tabId)?.url})`;
+    }
+  },
+  {
+    name: 'Screenshot round trip',
+    needs: 'tabId',
+    async run(state) {
+      const started = Date.now();
+      let result;
+      try {
+        result = await callTool(state.ws, 'computer', { action: 'screenshot', tabId: state.tabId });
+      } catch (e) {
+        throw new CheckFailed(e.message, e.data?.code === 'policy_denied'
+          ? 'The host\'s URL policy blocks this tab. Switch the active tab to an allowed page and run doctor again.'
+          : 'A minimised or background Chrome window cannot be captured. Bring it to the front and try again.');
+      }
+      const bytes = Buffer.from(result?.data || '', 'base64').length;
+      if (result?.type !== 'image' || bytes === 0) {
+        throw new CheckFailed('The host returned no image data', 'See the Windows host log for details.');
+      }
+      const size = result.width && result.height ? `${result.width}x${result.height} ` : '';
+      return `${size}${result.mediaType}, ${Math.round(bytes / 1024)} KB in ${Date.now() - started}ms`;
+    }
+  },
+  {
+    name: 'Unix socket',
+    async run(state, config) {
+      let stat;
+      try {
+        stat = fs.statSync(config.socketPath);
+      } catch (e) {
+        return `${config.socketPath} not present (created by \`claude-chrome-bridge\` when it runs)`;
+      }
+      if (!stat.isSocket()) {
+        throw new CheckFailed(`${config.socketPath} exists but is not a socket`, `Remove it (rm ${config.socketPath}) or set socketPath to another path.`);
+      }
+      const live = await new Promise((resolve) => {
+        const socket = net.connect(config.socketPath, () => {
+          socket.destroy();
+          resolve(true);
+        });
+        socket.once('error', () => resolve(false));
+      });
+      if (!live) {
+        throw new CheckFailed(`${config.socketPath} is stale: nothing is listening on it`,
+          `A bridge exited without cleaning up. Remove it (rm ${config.socketPath}) and start \`claude-chrome-bridge\` again.`);
+      }
+      return `${config.socketPath} is served by a running \`claude-chrome-bridge\``;
+    }
+  }
+];
+
+// State each check needs from an earlier one, and what was missing when it's absent
+const PREREQUISITES = {
+  host: 'an address for the Windows host',
+  tcp: 'a TCP connection',
+  ws: 'a WebSocket connection',
+  chrome: 'Chrome to be reachable',
+  tabId: 'a tab'
+};
+
+/**
+ * Run every check in order, printing results to out.
+ * Resolves with true if nothing failed (warnings are allowed).
+ */
+async function runDoctor(config, out = process.stdout) {
+  const state = {};
+  let ok = true;
+
+  out.write('Checking the path from WSL to Chrome...\n\n');
+  for (const check of CHECKS) {
+    if (check.needs && !state[check.needs]) {
+      out.write(`  [skip] ${check.name}: needs ${PREREQUISITES[check.needs]}\n`);
+      continue;
+    }
+    try {
+      const summary = await check.run(state, config);
+      out.write(`  [ ok ] ${check.name}: ${summary}\n`);
+    } catch (e) {
+      const warning = e instanceof CheckWarning;
+      ok = ok && warning;
+      out.write(`  [${warning ? 'warn' : 'FAIL'}] ${check.name}: ${e.message}\n`);
+      if (e.fix) {
+        out.write(`         Fix: ${e.fix.split('\n').join('\n              ')}\n`);
+      }
+    }
+  }
+
+  state.ws?.close();
+  out.write(ok ? '\nEverything checked out.\n' : '\nSome checks failed; fix the first failure and run doctor again.\n');
+  return ok;
+}
+
+module.exports = { runDoctor };
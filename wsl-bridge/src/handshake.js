@@ -0,0 +1,110 @@
+/**
+ * Handshake
+ * Sends the client hello when a connection to the Windows host opens and
+ * waits for the host's reply, which carries the tools, computer actions and
+ * limits available to this connection.
+ *
+ * The hello follows HelloMessage in shared/src/types.ts.
+ */
+
+const { PROTOCOL_VERSION, HELLO_MESSAGE_ID, HELLO_TIMEOUT } = require('@claude-chrome-bridge/shared/protocol');
+const { name, version } = require('../package.json');
+const { BROWSER_TOOLS } = require('./browser-tools');
+
+// What this bridge can use, from its tool schemas; the host answers with the part it grants
+function clientCapabilities() {
+  const properties = BROWSER_TOOLS.find(tool => tool.name === 'computer').inputSchema.properties;
+  return {
+    tools: BROWSER_TOOLS.map(tool => tool.name),
+    computerActions: properties.action.enum,
+    limits: { screenshotFormats: properties.format.enum }
+  };
+}
+
+function clientHello() {
+  return {
+    type: 'hello',
+    id: HELLO_MESSAGE_ID,
+    role: 'client',
+    protocolVersion: PROTOCOL_VERSION,
+    software: { name, version },
+    capabilities: clientCapabilities()
+  };
+}
+
+// Messages that belong to the handshake and must not be treated as tool responses
+function isHandshakeMessage(message) {
+  return message?.type === 'hello' || message?.payload?.requestId === HELLO_MESSAGE_ID;
+}
+
+// Turn the host's reply into capabilities, or throw explaining why we can't talk to it
+function readHostHello(message) {
+  if (message.type !== 'hello') {
+    // A host from before the handshake treats our hello as a tool call and answers with an error
+    throw new Error(`The Windows host does not support the bridge handshake, so it is older than this WSL bridge (${name} ${version}). Update the Windows host so both sides run the same release.`);
+  }
+  if (message.error) {
+    throw new Error(message.error);
+  }
+  if (message.protocolVersion !== PROTOCOL_VERSION) {
+    const host = message.software ? `${message.software.name} ${message.software.version}` : 'The Windows host';
+    const newer = message.protocolVersion > PROTOCOL_VERSION;
+    throw new Error(`${host} speaks bridge protocol v${message.protocolVersion}, but this WSL bridge (${name} ${version}) speaks v${PROTOCOL_VERSION}. ` +
+      `Update the ${newer ? 'WSL bridge' : 'Windows host'} so both sides run the same release.`);
+  }
+
+  return {
+    host: message.software,
+    profile: message.profile,
+    ...message.capabilities
+  };
+}
+
+/**
+ * Exchange hellos over a freshly opened ws WebSocket.
+ * Resolves with the host's capabilities ({host, profile, tools, computerActions, limits}).
+ */
+function performHandshake(ws) {
+  return new Promise((resolve, reject) => {
+    const onMessage = (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (e) {
+        return;
+      }
+      if (!isHandshakeMessage(message)) {
+        return;
+      }
+
+      finish();
+      try {
+        resolve(readHostHello(message));
+      } catch (e) {
+        reject(e);
+      }
+    };
+
+    const onClose = () => {
+      finish();
+      reject(new Error('Windows host closed the connection during the handshake'));
+    };
+
+    const timer = setTimeout(() => {
+      finish();
+      reject(new Error(`Windows host did not answer the handshake within ${HELLO_TIMEOUT}ms`));
+    }, HELLO_TIMEOUT);
+
+    function finish() {
+      clearTimeout(timer);
+      ws.off('message', onMessage);
+      ws.off('close', onClose);
+    }
+
+    ws.on('message', onMessage);
+    ws.on('close', onClose);
+    ws.send(JSON.stringify(clientHello()));
+  });
+}
+
+module.exports = { performHandshake, isHandshakeMessage };
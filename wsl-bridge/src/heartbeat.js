@@ -0,0 +1,63 @@
+/**
+ * Heartbeat
+ * Pings the Windows host over an open ws WebSocket and terminates the socket
+ * when a ping goes unanswered, so a half-open connection (WSL suspended,
+ * network change) closes and reconnects instead of hanging the next tool call
+ */
+
+const { HEARTBEAT_INTERVAL } = require('@claude-chrome-bridge/shared/protocol');
+
+class Heartbeat {
+  constructor(ws, interval = HEARTBEAT_INTERVAL) {
+    this.ws = ws;
+    this.interval = interval;
+    this.timer = null;
+    this.pingSentAt = null; // set while a ping is unanswered
+    this.latency = null; // last round trip in ms
+    this.deadHandler = null;
+
+    this.onPong = () => {
+      if (this.pingSentAt !== null) {
+        this.latency = Date.now() - this.pingSentAt;
+        this.pingSentAt = null;
+      }
+    };
+  }
+
+  // Called once the socket has been terminated for missing a pong
+  onDead(handler) {
+    this.deadHandler = handler;
+  }
+
+  start() {
+    this.ws.on('pong', this.onPong);
+    this.ws.once('close', () => this.stop());
+    this.ping();
+    this.timer = setInterval(() => this.tick(), this.interval);
+  }
+
+  tick() {
+    if (this.pingSentAt !== null) {
+      this.stop();
+      this.ws.terminate();
+      if (this.deadHandler) {
+        this.deadHandler();
+      }
+      return;
+    }
+    this.ping();
+  }
+
+  ping() {
+    this.pingSentAt = Date.now();
+    this.ws.ping();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.ws.off('pong', this.onPong);
+  }
+}
+
+module.exports = { Heartbeat };
@@ -0,0 +1,138 @@
+/**
+ * Host Client
+ * One-shot access to the Windows host for the command-line tools (doctor,
+ * status, tabs, call): open a connection, make a few calls, close it. Unlike
+ * MCPServer and WSLBridge it never reconnects or queues.
+ */
+
+const http = require('http');
+const https = require('https');
+const WebSocket = require('ws');
+const { authHeaders, isAuthError } = require('./auth-token');
+const { tlsOptions } = require('./tls-pinning');
+const { discoverHost } = require('./host-discovery');
+const { performHandshake } = require('./handshake');
+const { PROFILE_HEADER } = require('./permissions');
+const { newCorrelationId } = require('@claude-chrome-bridge/shared/logger');
+
+const STATUS_TIMEOUT = 5000;
+const CALL_TIMEOUT = 30000;
+
+/**
+ * Find the host, connect and complete the handshake.
+ * Resolves with { ws, host, capabilities }; host is the discovery result.
+ */
+async function connectToHost(config, { profile }) {
+  const host = await discoverHost({ port: config.wsPort, windowsHost: config.windowsHost, tls: config.tls });
+  const options = {
+    headers: { ...authHeaders(), [PROFILE_HEADER]: profile },
+    ...(host.url.startsWith('wss:') ? tlsOptions() : {})
+  };
+
+  const ws = new WebSocket(host.url, options);
+  try {
+    await new Promise((resolve, reject) => {
+      ws.once('open', () => {
+        ws.off('error', reject);
+        resolve();
+      });
+      ws.once('error', reject);
+    });
+    const capabilities = await performHandshake(ws);
+    return { ws, host, capabilities };
+  } catch (e) {
+    ws.terminate();
+    throw isAuthError(e) ? new Error('Windows host rejected the auth token (set CLAUDE_BRIDGE_TOKEN or check the token file)') : e;
+  }
+}
+
+/**
+ * Send one tools/call over an open, greeted connection.
+ * Resolves with the result; rejects with the host's error (details in error.data).
+ * A call that outlives timeout is cancelled on the host; one whose socket
+ * closes first rejects straight away.
+ */
+function callTool(ws, name, args, timeout = CALL_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    if (ws.readyState !== WebSocket.OPEN) {
+      reject(new Error('Connection to the Windows host is closed'));
+      return;
+    }
+    const correlationId = newCorrelationId();
+    const id = `cli-${correlationId}`;
+    const cleanup = () => {
+      clearTimeout(timer);
+      ws.off('message', onMessage);
+      ws.off('close', onClose);
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      ws.send(JSON.stringify({
+        id: `cancel-${id}`,
+        direction: 'to-chrome',
+        timestamp: Date.now(),
+        payload: { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: id, reason: 'timeout' } }
+      }));
+      reject(new Error(`No response from the Windows host within ${timeout / 1000}s`));
+    }, timeout);
+
+    const onMessage = (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (e) {
+        return;
+      }
+      if (String(message.payload?.requestId) !== id) {
+        return;
+      }
+      cleanup();
+      if (message.payload.error) {
+        reject(Object.assign(new Error(message.payload.error), { data: message.payload.errorData }));
+      } else {
+        resolve(message.payload.result);
+      }
+    };
+
+    const onClose = (code) => {
+      cleanup();
+      reject(new Error(`Connection to the Windows host closed (code ${code}) before it answered`));
+    };
+
+    ws.on('message', onMessage);
+    ws.on('close', onClose);
+    ws.send(JSON.stringify({
+      id,
+      direction: 'to-chrome',
+      timestamp: Date.now(),
+      correlationId,
+      payload: { jsonrpc: '2.0', method: 'tools/call', params: { name, arguments: args }, id }
+    }));
+  });
+}
+
+// GET the host's status report (see windows-host/src/status-server.js)
+function fetchStatus(host, port, tls) {
+  return new Promise((resolve, reject) => {
+    const options = { headers: authHeaders(), timeout: STATUS_TIMEOUT, ...(tls ? tlsOptions() : {}) };
+    const req = (tls ? https : http).get(`${tls ? 'https' : 'http'}://${host}:${port}/status`, options, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`HTTP ${res.statusCode}: ${body.trim()}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (e) {
+          reject(new Error(`Invalid status report: ${e.message}`));
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(Object.assign(new Error(`No answer within ${STATUS_TIMEOUT}ms`), { code: 'ETIMEDOUT' })));
+    req.on('error', reject);
+  });
+}
+
+module.exports = { connectToHost, callTool, fetchStatus };
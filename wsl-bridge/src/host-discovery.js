@@ -0,0 +1,166 @@
+/**
+ * Host Discovery
+ * Finds the address the Windows host is listening on. Under WSL2 NAT
+ * networking Windows is the default gateway (usually also the resolv.conf
+ * nameserver); under mirrored networking and WSL1 it is localhost. Each
+ * candidate is probed with a WebSocket handshake that carries no auth token;
+ * the host answers it with a 401 carrying HOST_HEADER. The address that
+ * answered is cached so the next run tries it first.
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { HOST_HEADER } = require('@claude-chrome-bridge/shared/protocol');
+const { tlsOptions } = require('./tls-pinning');
+
+const PROBE_TIMEOUT = 2000;
+const CACHE_FILE = path.join(os.tmpdir(), `claude-chrome-bridge-host-${os.userInfo().username}`);
+
+let lastWorking = null; // { host, method }
+
+function readCache() {
+  if (lastWorking) {
+    return lastWorking;
+  }
+  try {
+    const cached = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+    return typeof cached.host === 'string' ? cached : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeCache(found) {
+  lastWorking = found;
+  try {
+    fs.writeFileSync(CACHE_FILE, JSON.stringify(found));
+  } catch (e) {
+    // Only costs a slower discovery next time
+  }
+}
+
+// The default route's gateway from /proc/net/route (hex, little-endian)
+function defaultGateway() {
+  try {
+    const routes = fs.readFileSync('/proc/net/route', 'utf8').trim().split('\n').slice(1);
+    for (const line of routes) {
+      const [, destination, gateway] = line.trim().split(/\s+/);
+      if (destination === '00000000' && gateway !== '00000000') {
+        return gateway.match(/../g).reverse().map(byte => parseInt(byte, 16)).join('.');
+      }
+    }
+  } catch (e) {
+    // Not Linux, or no routing table
+  }
+  return null;
+}
+
+function resolvConfNameserver() {
+  try {
+    const resolv = fs.readFileSync('/etc/resolv.conf', 'utf8');
+    const match = resolv.match(/^nameserver\s+(\d+\.\d+\.\d+\.\d+)/m);
+    return match ? match[1] : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Addresses to try, most likely first, without duplicates
+function candidates(windowsHost) {
+  const cached = readCache();
+  const list = [
+    { method: 'WINDOWS_HOST_IP', host: windowsHost },
+    { method: cached?.method, host: cached?.host, cached: true },
+    { method: 'mirrored localhost', host: '127.0.0.1' },
+    { method: 'default gateway', host: defaultGateway() },
+    { method: 'resolv.conf', host: resolvConfNameserver() }
+  ];
+
+  const seen = new Set();
+  return list.filter(candidate => {
+    if (!candidate.host || seen.has(candidate.host)) {
+      return false;
+    }
+    seen.add(candidate.host);
+    return true;
+  });
+}
+
+function hostUrl(host, port, tls) {
+  return `${tls ? 'wss' : 'ws'}://${host}:${port}`;
+}
+
+// Resolve with null if the Windows host answers the WebSocket upgrade, otherwise
+// with the reason it didn't. The socket is added to sockets so it can be dropped early.
+function probe(url, options, sockets) {
+  return new Promise((resolve) => {
+    const ws = new WebSocket(url, { ...options, handshakeTimeout: PROBE_TIMEOUT });
+    sockets.push(ws);
+
+    // Probes send no token, so the host answers 401; the connection itself reports token problems
+    ws.on('unexpected-response', (req, res) => {
+      resolve(res.statusCode === 401 && res.headers[HOST_HEADER.toLowerCase()]
+        ? null
+        : `HTTP ${res.statusCode} without the ${HOST_HEADER} header (not the Windows host, or an older release of it)`);
+      ws.terminate();
+    });
+
+    ws.on('open', () => {
+      ws.close();
+      resolve('accepted a WebSocket without a token, so it is not the Windows host');
+    });
+
+    ws.on('error', (error) => {
+      ws.terminate();
+      resolve(error.code || error.message);
+    });
+  });
+}
+
+/**
+ * Find the Windows host listening on port (over wss:// when tls is set).
+ * windowsHost is the configured address (WINDOWS_HOST_IP). Candidates are
+ * probed in parallel and the first one to answer as the Windows host wins;
+ * the remaining probes are dropped.
+ * Resolves with { host, method, cached, url }, where method is how the address
+ * was first found; rejects listing every address tried.
+ */
+async function discoverHost({ port, windowsHost = null, tls = false }) {
+  // No Authorization header: a candidate may not be the Windows host at all
+  // (a custom DNS server in resolv.conf, say). The host's marked 401 identifies it.
+  const options = tls ? tlsOptions() : {};
+
+  const list = candidates(windowsHost);
+  const sockets = [];
+  const failures = [];
+  const index = await new Promise((resolve) => {
+    let remaining = list.length;
+    if (remaining === 0) {
+      resolve(-1);
+    }
+    list.forEach((candidate, i) => {
+      probe(hostUrl(candidate.host, port, tls), options, sockets).then((failure) => {
+        failures[i] = failure;
+        if (failure === null) {
+          resolve(i);
+        } else if (--remaining === 0) {
+          resolve(-1);
+        }
+      });
+    });
+  });
+  sockets.forEach(ws => ws.terminate());
+
+  if (index === -1) {
+    const tried = list.map((candidate, i) => `${candidate.host} (${candidate.cached ? 'cached' : candidate.method}): ${failures[i]}`).join('; ');
+    throw new Error(`Windows host not reachable on port ${port}. Tried ${tried}. Is the Windows host running? Set WINDOWS_HOST_IP if it is at another address.`);
+  }
+
+  const { host, method, cached = false } = list[index];
+  writeCache({ host, method });
+  return { host, method, cached, url: hostUrl(host, port, tls) };
+}
+
+module.exports = { discoverHost, candidates, hostUrl };
@@ -6,60 +6,48 @@
  * - Claude Code (via Unix socket)
  */
 
-const os = require('os');
-const fs = require('fs');
 const { WebSocketClient } = require('./websocket-client');
 const { UnixSocketServer } = require('./unix-socket-server');
-
-const WS_PORT = 19222;
-
-// In WSL2, we need to connect to the Windows host IP, not localhost
-function getWindowsHostIP() {
-  // Check for environment variable override
-  if (process.env.WINDOWS_HOST_IP) {
-    return process.env.WINDOWS_HOST_IP;
-  }
-
-  // Try to get Windows host IP from /etc/resolv.conf (WSL2)
-  try {
-    const resolv = fs.readFileSync('/etc/resolv.conf', 'utf8');
-    const match = resolv.match(/nameserver\s+(\d+\.\d+\.\d+\.\d+)/);
-    if (match) {
-      return match[1];
-    }
-  } catch (e) {
-    // Ignore errors
+const { logger, newCorrelationId } = require('@claude-chrome-bridge/shared/logger');
+const { PROFILE_HEADER } = require('./permissions');
+
+// Tools that only observe, so they can be sent again if the connection drops
+// before their response arrives. Anything else may already have run on the
+// host, so it is failed instead of being repeated.
+const IDEMPOTENT_TOOLS = new Set(['tabs_context_mcp', 'read_page', 'get_page_text', 'find']);
+const IDEMPOTENT_COMPUTER_ACTIONS = new Set(['screenshot', 'wait']);
+
+function isIdempotent(toolName, args) {
+  switch (toolName) {
+    case 'computer':
+      return IDEMPOTENT_COMPUTER_ACTIONS.has(args.action);
+    case 'console_logs':
+    case 'network_requests':
+      return !args.clear;
+    default:
+      return IDEMPOTENT_TOOLS.has(toolName);
   }
-
-  // Fallback to localhost (works in WSL1 or if port forwarding is set up)
-  return '127.0.0.1';
-}
-
-const WS_HOST = getWindowsHostIP();
-
-// Get socket path
-function getSocketPath() {
-  const username = os.userInfo().username;
-  return `/tmp/claude-mcp-browser-bridge-${username}`;
 }
 
 class WSLBridge {
-  constructor() {
-    this.socketPath = getSocketPath();
-    this.wsClient = new WebSocketClient(`ws://${WS_HOST}:${WS_PORT}`);
+  // config: the loaded configuration (see shared/lib/config.js)
+  constructor(config) {
+    this.config = config;
+    this.socketPath = config.socketPath;
+    this.wsClient = new WebSocketClient(config, { [PROFILE_HEADER]: config.profile });
     this.unixServer = new UnixSocketServer(this.socketPath);
     this.claudeClient = null;
+    this.pending = new Map(); // bridge message id -> { bridgeMessage, log, toolName, args, deadline, started, sent, timer }
   }
 
   start() {
-    console.log('[Bridge] Starting WSL Bridge for Claude Chrome...');
-    console.log(`[Bridge] WebSocket target: ws://${WS_HOST}:${WS_PORT}`);
-    console.log(`[Bridge] Unix socket: ${this.socketPath}`);
-    console.log('');
+    logger.info('Starting WSL Bridge for Claude Chrome...');
+    logger.info(`Permission profile: ${this.config.profile}`);
+    logger.info(`Unix socket: ${this.socketPath}`);
 
     // Set up WebSocket client handlers
-    this.wsClient.onOpen(() => {
-      console.log('[Bridge] Connected to Windows host');
+    this.wsClient.onOpen((capabilities) => {
+      logger.info(`Connected to Windows host at ${this.wsClient.host.host} (${capabilities.host?.name} ${capabilities.host?.version}, profile ${capabilities.profile})`);
     });
 
     this.wsClient.onMessage((message) => {
@@ -67,56 +55,51 @@ class WSLBridge {
     });
 
     this.wsClient.onClose(() => {
-      console.log('[Bridge] Disconnected from Windows host');
+      logger.info('Disconnected from Windows host');
+      this.handleDisconnect();
     });
 
     this.wsClient.onError((error) => {
-      console.error(`[Bridge] WebSocket error: ${error.message}`);
+      logger.error(`WebSocket error: ${error.message}`);
     });
 
     // Set up Unix socket server handlers
     this.unixServer.onConnection((client) => {
       if (this.claudeClient) {
-        console.log('[Bridge] Warning: New Claude Code connection replacing existing one');
+        logger.warn('New Claude Code connection replacing existing one');
         this.claudeClient.close();
       }
 
       this.claudeClient = client;
-      console.log('[Bridge] Claude Code connected');
+      logger.info('Claude Code connected');
 
       client.onMessage((message) => {
         this.forwardToWindows(message);
       });
 
       client.onClose(() => {
-        console.log('[Bridge] Claude Code disconnected');
+        logger.info('Claude Code disconnected');
         this.claudeClient = null;
       });
 
       client.onError((error) => {
-        console.error(`[Bridge] Unix socket client error: ${error.message}`);
+        logger.error(`Unix socket client error: ${error.message}`);
       });
     });
 
     this.unixServer.onError((error) => {
-      console.error(`[Bridge] Unix socket server error: ${error.message}`);
+      logger.error(`Unix socket server error: ${error.message}`);
     });
 
     // Start components
     this.wsClient.connect();
     this.unixServer.start();
 
-    console.log('[Bridge] Ready for Claude Code connections...');
-    console.log('[Bridge] Press Ctrl+C to stop');
-    console.log('');
+    logger.info('Ready for Claude Code connections...');
+    logger.info('Press Ctrl+C to stop');
   }
 
   forwardToWindows(message) {
-    if (!this.wsClient.isConnected()) {
-      console.warn('[Bridge] Cannot forward to Windows: not connected');
-      return;
-    }
-
     const bridgeMessage = {
       id: `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
       direction: 'to-chrome',
@@ -124,20 +107,110 @@ class WSLBridge {
       payload: message
     };
 
-    this.wsClient.send(bridgeMessage);
+    const toolName = message?.params?.name || message?.tool;
+    if (!toolName) {
+      this.wsClient.send(bridgeMessage);
+      return;
+    }
+
+    // Travels with the call to the host, so both sides log it under the same id
+    bridgeMessage.correlationId = newCorrelationId();
+    const log = logger.child({ correlationId: bridgeMessage.correlationId });
+    if (!this.wsClient.isConnected()) {
+      log.warn(`Not connected to Windows host, queueing ${toolName} request`);
+    }
+
+    const request = {
+      bridgeMessage,
+      log,
+      toolName,
+      args: message.params?.arguments || message.arguments || {},
+      // Includes time spent queued while the connection to the Windows host is down
+      deadline: Date.now() + this.config.requestDeadline,
+      started: Date.now(),
+      sent: false,
+      timer: null
+    };
+    this.pending.set(bridgeMessage.id, request);
+    this.sendRequest(request);
+  }
+
+  // Send (or queue) a tracked request; it fails with an error response once its deadline passes
+  sendRequest(request) {
+    const id = request.bridgeMessage.id;
+
+    this.wsClient.send(request.bridgeMessage, {
+      deadline: request.deadline,
+      onExpire: (error) => {
+        this.failRequest(id, `${request.toolName} was not sent: ${error.message}`, { code: 'bridge_unavailable' });
+      },
+      onSent: () => {
+        request.sent = true;
+        request.timer = setTimeout(() => {
+          this.failRequest(id, `${request.toolName} timed out: no response from the Windows host within ${this.config.requestDeadline / 1000}s`, {
+            code: 'bridge_timeout'
+          });
+        }, Math.max(0, request.deadline - Date.now()));
+      }
+    });
+  }
+
+  // Requests that were in flight when the connection dropped may or may not
+  // have run. Resend the ones that are safe to repeat; fail the rest.
+  handleDisconnect() {
+    for (const [id, request] of this.pending) {
+      if (!request.sent) {
+        continue; // still queued, goes out when we reconnect
+      }
+
+      clearTimeout(request.timer);
+      request.timer = null;
+      request.sent = false;
+
+      if (isIdempotent(request.toolName, request.args)) {
+        request.log.info(`Resending ${request.toolName} after reconnect`);
+        this.sendRequest(request);
+      } else {
+        this.failRequest(id, `The connection to the Windows host dropped while ${request.toolName} was running. It may or may not have completed, so it was not retried; check the browser state before trying again.`, {
+          code: 'bridge_disconnected'
+        });
+      }
+    }
+  }
+
+  // Answer a request with an error in the same shape the Windows host uses
+  failRequest(id, error, data) {
+    const request = this.pending.get(id);
+    if (!request) {
+      return;
+    }
+    clearTimeout(request.timer);
+    this.pending.delete(id);
+
+    request.log.warn(error, data);
+    if (this.claudeClient) {
+      this.claudeClient.send({ requestId: id, error, errorData: { ...data, tool: request.toolName } });
+    }
   }
 
   forwardToClaudeCode(bridgeMessage) {
     if (!this.claudeClient) {
-      console.warn('[Bridge] Cannot forward to Claude Code: not connected');
+      logger.warn('Cannot forward to Claude Code: not connected');
       return;
     }
 
     if (bridgeMessage.direction !== 'from-chrome') {
-      console.warn(`[Bridge] Received message with unexpected direction: ${bridgeMessage.direction}`);
+      logger.warn(`Received message with unexpected direction: ${bridgeMessage.direction}`);
       return;
     }
 
+    const request = this.pending.get(String(bridgeMessage.payload?.requestId));
+    if (request) {
+      clearTimeout(request.timer);
+      this.pending.delete(request.bridgeMessage.id);
+      request.log.info(`Tool ${request.toolName} ${bridgeMessage.payload.error ? 'failed' : 'completed'} in ${Date.now() - request.started}ms`);
+    }
+
     this.claudeClient.send(bridgeMessage.payload);
   }
 
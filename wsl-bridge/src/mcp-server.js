@@ -8,249 +8,152 @@
  */
 
 const os = require('os');
-const fs = require('fs');
 const WebSocket = require('ws');
-
-const WS_PORT = 19222;
-
-// Get Windows host IP
-function getWindowsHostIP() {
-  if (process.env.WINDOWS_HOST_IP) {
-    return process.env.WINDOWS_HOST_IP;
-  }
-
-  // Try default gateway first (more reliable for WSL2)
-  try {
-    const { execSync } = require('child_process');
-    const route = execSync('ip route | grep default', { encoding: 'utf8' });
-    const match = route.match(/via\s+(\d+\.\d+\.\d+\.\d+)/);
-    if (match) {
-      return match[1];
-    }
-  } catch (e) {
-    // Ignore
-  }
-
-  // Fallback to resolv.conf
-  try {
-    const resolv = fs.readFileSync('/etc/resolv.conf', 'utf8');
-    const match = resolv.match(/nameserver\s+(\d+\.\d+\.\d+\.\d+)/);
-    if (match) {
-      return match[1];
-    }
-  } catch (e) {
-    // Ignore
-  }
-
-  return '127.0.0.1';
-}
-
-const WS_HOST = getWindowsHostIP();
-const WS_URL = `ws://${WS_HOST}:${WS_PORT}`;
-
-// Logging to stderr (stdout is for MCP protocol)
-function log(message) {
-  console.error(`[MCP Bridge] ${message}`);
-}
-
-// Browser automation tools that we expose
-const BROWSER_TOOLS = [
-  {
-    name: 'computer',
-    description: 'Control the browser with mouse and keyboard actions, take screenshots',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        action: {
-          type: 'string',
-          enum: ['screenshot', 'left_click', 'right_click', 'type', 'key', 'scroll', 'wait', 'double_click', 'triple_click'],
-          description: 'The action to perform'
-        },
-        coordinate: {
-          type: 'array',
-          items: { type: 'number' },
-          description: 'x, y coordinates for click actions'
-        },
-        text: {
-          type: 'string',
-          description: 'Text to type or key to press'
-        },
-        tabId: {
-          type: 'number',
-          description: 'Tab ID to perform action on'
-        }
-      },
-      required: ['action', 'tabId']
-    }
-  },
-  {
-    name: 'navigate',
-    description: 'Navigate to a URL in the browser',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        url: { type: 'string', description: 'URL to navigate to' },
-        tabId: { type: 'number', description: 'Tab ID to navigate' }
-      },
-      required: ['url', 'tabId']
-    }
-  },
-  {
-    name: 'read_page',
-    description: 'Get accessibility tree of the current page',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        tabId: { type: 'number', description: 'Tab ID to read' }
-      },
-      required: ['tabId']
-    }
-  },
-  {
-    name: 'tabs_context_mcp',
-    description: 'Get information about browser tabs',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        createIfEmpty: { type: 'boolean', description: 'Create tab if none exists' }
-      }
-    }
-  },
-  {
-    name: 'tabs_create_mcp',
-    description: 'Create a new browser tab',
-    inputSchema: {
-      type: 'object',
-      properties: {}
-    }
-  },
-  {
-    name: 'find',
-    description: 'Find elements on the page',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        query: { type: 'string', description: 'What to find' },
-        tabId: { type: 'number', description: 'Tab ID to search' }
-      },
-      required: ['query', 'tabId']
-    }
-  },
-  {
-    name: 'form_input',
-    description: 'Fill form fields',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        ref: { type: 'string', description: 'Element reference' },
-        value: { type: 'string', description: 'Value to set' },
-        tabId: { type: 'number', description: 'Tab ID' }
-      },
-      required: ['ref', 'value', 'tabId']
-    }
-  },
-  {
-    name: 'get_page_text',
-    description: 'Extract text content from page',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        tabId: { type: 'number', description: 'Tab ID' }
-      },
-      required: ['tabId']
-    }
-  },
-  {
-    name: 'javascript_tool',
-    description: 'Execute JavaScript in page context',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        action: { type: 'string', const: 'javascript_exec' },
-        text: { type: 'string', description: 'JavaScript code' },
-        tabId: { type: 'number', description: 'Tab ID' }
-      },
-      required: ['action', 'text', 'tabId']
-    }
-  },
-  {
-    name: 'console_logs',
-    description: 'Read browser console output (log, warn, error, info)',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        tabId: { type: 'number', description: 'Tab ID' },
-        limit: { type: 'number', description: 'Max entries to return (default 50)' },
-        types: {
-          type: 'array',
-          items: { type: 'string', enum: ['log', 'warn', 'error', 'info'] },
-          description: 'Filter by log type (default all)'
-        },
-        clear: { type: 'boolean', description: 'Clear buffer after reading (default false)' },
-        since: { type: 'string', description: 'ISO timestamp - only return logs after this time' }
-      },
-      required: ['tabId']
-    }
-  }
-];
+const { authHeaders, isAuthError } = require('./auth-token');
+const { tlsOptions } = require('./tls-pinning');
+const { discoverHost } = require('./host-discovery');
+const { filterTools, grantsFor, PROFILE_HEADER } = require('./permissions');
+const { performHandshake, isHandshakeMessage } = require('./handshake');
+const { Heartbeat } = require('./heartbeat');
+const { loadConfig } = require('@claude-chrome-bridge/shared/config');
+const { logger, newCorrelationId, redactToolArguments } = require('@claude-chrome-bridge/shared/logger');
+const { SessionRecorder } = require('./session-recorder');
+const { BROWSER_TOOLS, toolTimeout } = require('./browser-tools');
 
 // MCP Protocol handler
 class MCPServer {
-  constructor() {
+  // config: the loaded configuration (see shared/lib/config.js)
+  constructor(config) {
+    this.config = config;
     this.ws = null;
     this.connected = false;
     this.pendingRequests = new Map();
     this.buffer = '';
     this.requestId = 0;
+    this.hostCapabilities = null; // from the host's hello; null until the first handshake
+    this.heartbeat = null;
+    this.connecting = null; // the connection attempt in progress, shared by everyone waiting on it
+    this.initialized = false;
+    this.host = null; // { host, method, cached, url } from the last discovery
+    this.recorder = config.recordFile ? new SessionRecorder(config.recordFile, { redact: config.recordRedact }) : null;
   }
 
   async start() {
-    log(`Connecting to Windows host at ${WS_URL}...`);
+    logger.info(`Looking for Windows host (profile ${this.config.profile})...`);
 
     try {
       await this.connectWebSocket();
     } catch (e) {
-      log(`Warning: Could not connect to Windows host: ${e.message}`);
-      log('Will respond to MCP requests but browser tools will fail');
+      logger.warn(`Could not connect to Windows host: ${e.message}`);
+      logger.warn('Will respond to MCP requests but browser tools will fail');
+    }
+
+    if (this.recorder) {
+      this.recorder.start({ host: this.hostCapabilities?.host ?? null, profile: this.config.profile });
+      logger.info(`Recording tool calls to ${this.config.recordFile}`);
     }
 
     this.setupStdio();
-    log('MCP Server ready');
+    logger.info('MCP Server ready');
   }
 
+  // Find the host (again, in case the network changed) and connect to it.
+  // Tool calls, tools/list and the heartbeat all wait on the same attempt.
   connectWebSocket() {
+    if (!this.connecting) {
+      this.connecting = this.discoverAndConnect().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  async discoverAndConnect() {
+    this.host = await discoverHost({ port: this.config.wsPort, windowsHost: this.config.windowsHost, tls: this.config.tls });
+    logger.info(`Found Windows host at ${this.host.host} via ${this.host.method}${this.host.cached ? ' (cached)' : ''}`);
+    return this.openWebSocket(this.host.url);
+  }
+
+  openWebSocket(url) {
     return new Promise((resolve, reject) => {
+      let options;
+      try {
+        options = {
+          headers: { ...authHeaders(), [PROFILE_HEADER]: this.config.profile },
+          ...(this.config.tls ? tlsOptions() : {})
+        };
+      } catch (e) {
+        reject(e);
+        return;
+      }
+
+      // Whatever is left of the previous connection goes before its replacement opens
+      this.ws?.terminate();
+      const ws = new WebSocket(url, options);
+      this.ws = ws;
+
       const timeout = setTimeout(() => {
+        ws.terminate();
         reject(new Error('Connection timeout'));
       }, 5000);
 
-      this.ws = new WebSocket(WS_URL);
-
-      this.ws.on('open', () => {
+      ws.on('open', async () => {
         clearTimeout(timeout);
+        try {
+          const capabilities = await performHandshake(ws);
+          this.updateCapabilities(capabilities);
+        } catch (e) {
+          logger.error(`Handshake failed: ${e.message}`);
+          ws.close();
+          reject(e);
+          return;
+        }
         this.connected = true;
-        log('Connected to Windows host');
+        this.heartbeat = new Heartbeat(ws);
+        this.heartbeat.onDead(() => {
+          logger.warn('Windows host stopped answering heartbeats; reconnecting');
+          // Reconnect once the dead socket's close handler has failed its pending calls
+          ws.once('close', () => {
+            this.connectWebSocket().catch((e) => logger.warn(`Reconnection failed: ${e.message}`));
+          });
+        });
+        this.heartbeat.start();
+        logger.info(`Connected to Windows host (${this.hostCapabilities.host?.name} ${this.hostCapabilities.host?.version}, profile ${this.hostCapabilities.profile})`);
         resolve();
       });
 
-      this.ws.on('message', (data) => {
+      ws.on('message', (data) => {
         this.handleWebSocketMessage(data);
       });
 
-      this.ws.on('close', () => {
-        this.connected = false;
-        log('Disconnected from Windows host');
+      ws.on('close', () => {
+        if (this.ws === ws) {
+          this.connected = false;
+          logger.info('Disconnected from Windows host');
+        }
+
+        // Nothing will answer the requests sent on this socket now; those on its replacement carry on
+        for (const [id, pending] of Array.from(this.pendingRequests)) {
+          if (pending.ws === ws) {
+            this.failPendingRequest(id, 'Connection to Windows host was lost before it responded');
+          }
+        }
       });
 
-      this.ws.on('error', (error) => {
+      ws.on('error', (error) => {
         clearTimeout(timeout);
         if (!this.connected) {
-          reject(error);
+          reject(isAuthError(error) ? new Error('Windows host rejected the auth token (set CLAUDE_BRIDGE_TOKEN or check the token file)') : error);
         }
       });
     });
   }
 
+  // Last heartbeat round trip to the Windows host in ms, or null if unknown
+  get latency() {
+    return this.connected ? this.heartbeat?.latency ?? null : null;
+  }
+
   setupStdio() {
     process.stdin.setEncoding('utf8');
 
@@ -260,7 +163,7 @@ class MCPServer {
     });
 
     process.stdin.on('end', () => {
-      log('stdin closed, shutting down');
+      logger.info('stdin closed, shutting down');
       process.exit(0);
     });
   }
@@ -277,7 +180,7 @@ class MCPServer {
           const message = JSON.parse(line);
           this.handleMCPMessage(message);
         } catch (e) {
-          log(`Failed to parse MCP message: ${e.message}`);
+          logger.warn(`Failed to parse MCP message: ${e.message}`);
         }
       }
     }
@@ -285,7 +188,7 @@ class MCPServer {
 
   handleMCPMessage(message) {
     const method = message.method;
-    log(`MCP request: ${method} (id: ${message.id})`);
+    logger.debug(`MCP request: ${method} (id: ${message.id})`);
 
     // Handle MCP protocol messages locally
     switch (method) {
@@ -293,8 +196,10 @@ class MCPServer {
         this.handleInitialize(message);
         break;
       case 'initialized':
+      case 'notifications/initialized':
         // Notification, no response needed
-        log('Client initialized');
+        this.initialized = true;
+        logger.debug('Client initialized');
         break;
       case 'tools/list':
         this.handleToolsList(message);
@@ -302,21 +207,27 @@ class MCPServer {
       case 'tools/call':
         this.handleToolCall(message);
         break;
+      case 'notifications/cancelled':
+        this.handleCancelled(message.params || {});
+        break;
       case 'ping':
         this.sendResponse(message.id, {});
         break;
       default:
-        log(`Unknown method: ${method}`);
-        this.sendError(message.id, -32601, `Method not found: ${method}`);
+        logger.warn(`Unknown method: ${method}`);
+        // Notifications carry no id and must not be answered
+        if (message.id !== undefined) {
+          this.sendError(message.id, -32601, `Method not found: ${method}`);
+        }
     }
   }
 
   handleInitialize(message) {
-    log('Handling initialize request');
+    logger.debug('Handling initialize request');
     this.sendResponse(message.id, {
       protocolVersion: '2024-11-05',
       capabilities: {
-        tools: {}
+        tools: { listChanged: true }
       },
       serverInfo: {
         name: 'claude-in-chrome-bridge',
@@ -325,33 +236,81 @@ class MCPServer {
     });
   }
 
-  handleToolsList(message) {
-    log('Handling tools/list request');
+  async handleToolsList(message) {
+    logger.debug('Handling tools/list request');
+
+    if (!this.connected) {
+      try {
+        await this.connectWebSocket();
+      } catch (e) {
+        logger.warn(`Listing tools without the host's capabilities: ${e.message}`);
+      }
+    }
+
     this.sendResponse(message.id, {
-      tools: BROWSER_TOOLS
+      tools: this.availableTools()
+    });
+  }
+
+  // Tools to advertise: what the connected host offers this connection, or,
+  // before any handshake, everything the configured profile allows
+  availableTools() {
+    if (!this.hostCapabilities) {
+      return filterTools(BROWSER_TOOLS, grantsFor(this.config.profile));
+    }
+    return filterTools(BROWSER_TOOLS, {
+      tools: new Set(this.hostCapabilities.tools),
+      computerActions: new Set(this.hostCapabilities.computerActions)
     });
   }
 
+  // Store the host's capabilities, telling the client if the tool list changed
+  updateCapabilities(capabilities) {
+    const known = new Set(BROWSER_TOOLS.map(tool => tool.name));
+    const unknown = capabilities.tools.filter(name => !known.has(name));
+    if (unknown.length > 0) {
+      logger.warn(`Host offers tools this bridge has no schema for (update the WSL bridge to use them): ${unknown.join(', ')}`);
+    }
+
+    const before = JSON.stringify(this.availableTools());
+    this.hostCapabilities = capabilities;
+    if (this.initialized && JSON.stringify(this.availableTools()) !== before) {
+      logger.info('Tool list changed after reconnecting');
+      process.stdout.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' }) + '\n');
+    }
+  }
+
   async handleToolCall(message) {
     const toolName = message.params?.name;
     const args = message.params?.arguments || {};
 
-    log(`Tool call: ${toolName}`);
+    // Travels with the call to the host, so both sides log it under the same id
+    const correlationId = newCorrelationId();
+    const log = logger.child({ correlationId });
+    log.debug(`Tool call: ${toolName} (id: ${message.id})`);
 
     // Try to reconnect if not connected
     if (!this.connected || !this.ws || this.ws.readyState !== 1) {
-      log('Not connected, attempting to reconnect...');
+      log.info('Not connected, attempting to reconnect...');
       try {
         await this.connectWebSocket();
       } catch (e) {
-        log(`Reconnection failed: ${e.message}`);
-        this.sendError(message.id, -32000, 'Not connected to Chrome extension. Make sure the Windows host is running (click Claude in Chrome extension).');
+        log.warn(`Reconnection failed: ${e.message}`);
+        const error = `Not connected to Chrome extension (${e.message}). Make sure the Windows host is running (click Claude in Chrome extension).`;
+        this.recordCall({ toolName, args, correlationId, started: Date.now() }, { error });
+        this.sendError(message.id, -32000, error);
         return;
       }
     }
 
-    // Store pending request for response matching
-    this.pendingRequests.set(message.id, { originalId: message.id });
+    // Store pending request for response matching; fail it if the host never answers
+    const timeout = toolTimeout(toolName, args, this.config.toolTimeout);
+    const timer = setTimeout(() => {
+      log.warn(`Tool ${toolName} (id: ${message.id}) timed out after ${timeout}ms`);
+      this.failPendingRequest(String(message.id), `Tool ${toolName} timed out after ${timeout}ms waiting for the Windows host`);
+      this.cancelOnHost(message.id, 'timeout');
+    }, timeout);
+    this.pendingRequests.set(String(message.id), { originalId: message.id, toolName, args, timer, correlationId, started: Date.now(), ws: this.ws });
 
     // Forward to Windows host / Chrome extension
     // Use MCP-style JSON-RPC format that Chrome extension expects
@@ -359,6 +318,7 @@ class MCPServer {
       id: String(message.id),
       direction: 'to-chrome',
       timestamp: Date.now(),
+      correlationId,
       payload: {
         jsonrpc: '2.0',
         method: 'tools/call',
@@ -370,32 +330,44 @@ class MCPServer {
       }
     };
 
-    log(`Sending to Windows: ${JSON.stringify(bridgeMessage.payload)}`);
+    log.debug('Sending to Windows', { ...bridgeMessage.payload, params: { name: toolName, arguments: redactToolArguments(toolName, args) } });
     this.ws.send(JSON.stringify(bridgeMessage));
   }
 
   handleWebSocketMessage(data) {
     try {
       const bridgeMessage = JSON.parse(data.toString());
-      log(`Received from Windows: ${JSON.stringify(bridgeMessage).substring(0, 200)}`);
+      if (isHandshakeMessage(bridgeMessage)) {
+        return; // handled by performHandshake
+      }
+      logger.debug('Received from Windows', { id: bridgeMessage.id, correlationId: bridgeMessage.correlationId });
 
       if (bridgeMessage.direction === 'from-chrome' && bridgeMessage.payload) {
         const payload = bridgeMessage.payload;
 
-        // Check if this is a response to a pending request
-        // Handle both string and number requestId (type coercion)
-        const reqId = payload.requestId;
-        const numReqId = typeof reqId === 'string' ? parseInt(reqId, 10) : reqId;
+        // Check if this is a response to a pending request (ids travel as strings)
+        const pending = this.pendingRequests.get(String(payload.requestId));
 
-        if (reqId && (this.pendingRequests.has(reqId) || this.pendingRequests.has(numReqId))) {
-          const actualKey = this.pendingRequests.has(reqId) ? reqId : numReqId;
-          this.pendingRequests.delete(actualKey);
+        if (pending) {
+          clearTimeout(pending.timer);
+          this.pendingRequests.delete(String(payload.requestId));
+          const id = pending.originalId;
 
+          const log = logger.child({ correlationId: pending.correlationId });
+          const elapsed = Date.now() - pending.started;
           if (payload.error) {
-            this.sendError(payload.requestId, -32000, payload.error);
+            log.warn(`Tool ${pending.toolName} failed in ${elapsed}ms: ${payload.error}`, payload.errorData);
+            this.recordCall(pending, { error: payload.error, ...(payload.errorData ? { errorData: payload.errorData } : {}) });
+          } else {
+            log.info(`Tool ${pending.toolName} completed in ${elapsed}ms`);
+            this.recordCall(pending, { result: payload.result });
+          }
+
+          if (payload.error) {
+            this.sendError(id, -32000, payload.error, payload.errorData);
           } else if (payload.result?.type === 'image') {
             // Handle image responses (screenshots) as proper MCP image blocks
-            this.sendResponse(payload.requestId, {
+            this.sendResponse(id, {
               content: [
                 {
                   type: 'image',
@@ -405,7 +377,7 @@ class MCPServer {
               ]
             });
           } else {
-            this.sendResponse(payload.requestId, {
+            this.sendResponse(id, {
               content: [
                 {
                   type: 'text',
@@ -417,7 +389,56 @@ class MCPServer {
         }
       }
     } catch (e) {
-      log(`Failed to parse WebSocket message: ${e.message}`);
+      logger.warn(`Failed to parse WebSocket message: ${e.message}`);
+    }
+  }
+
+  // The client gave up on a request: stop waiting for it and tell the host to abort it
+  handleCancelled(params) {
+    const pending = this.pendingRequests.get(String(params.requestId));
+    if (!pending) {
+      return;
+    }
+
+    logger.child({ correlationId: pending.correlationId }).info(`Request ${params.requestId} cancelled${params.reason ? `: ${params.reason}` : ''}`);
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(String(params.requestId));
+    this.recordCall(pending, { cancelled: true, ...(params.reason ? { reason: params.reason } : {}) });
+    this.cancelOnHost(params.requestId, params.reason);
+  }
+
+  cancelOnHost(requestId, reason) {
+    if (!this.connected || !this.ws || this.ws.readyState !== 1) {
+      return;
+    }
+
+    this.ws.send(JSON.stringify({
+      id: `cancel-${requestId}`,
+      direction: 'to-chrome',
+      timestamp: Date.now(),
+      payload: {
+        jsonrpc: '2.0',
+        method: 'notifications/cancelled',
+        params: { requestId: String(requestId), reason }
+      }
+    }));
+  }
+
+  failPendingRequest(id, message) {
+    const pending = this.pendingRequests.get(id);
+    if (!pending) {
+      return;
+    }
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(id);
+    this.recordCall(pending, { error: message });
+    this.sendError(pending.originalId, -32000, message);
+  }
+
+  // Add a finished call to the session recording, if one is being made
+  recordCall(call, outcome) {
+    if (this.recorder) {
+      this.recorder.record(call, outcome);
     }
   }
 
@@ -431,13 +452,14 @@ class MCPServer {
     process.stdout.write(json + '\n');
   }
 
-  sendError(id, code, message) {
+  sendError(id, code, message, data) {
     const response = {
       jsonrpc: '2.0',
       id: id,
       error: {
         code: code,
-        message: message
+        message: message,
+        ...(data ? { data } : {})
       }
     };
     const json = JSON.stringify(response);
@@ -445,9 +467,29 @@ class MCPServer {
   }
 }
 
-// Start the server
-const server = new MCPServer();
-server.start().catch((error) => {
-  log(`Failed to start: ${error.message}`);
-  process.exit(1);
-});
+// Start the server when run directly (also available as `claude-chrome-bridge mcp`)
+if (require.main === module) {
+  // Logs go to stderr and the log file; stdout is for the MCP protocol
+  logger.configure({ component: 'wsl-bridge', prefix: 'MCP Bridge' });
+
+  let config;
+  try {
+    const loaded = loadConfig({ argv: process.argv.slice(2) });
+    if (loaded.args.length > 0) {
+      throw new Error(`Unknown argument: ${loaded.args[0]}`);
+    }
+    config = loaded.config;
+    logger.useConfig(loaded);
+  } catch (e) {
+    logger.error(e.message);
+    process.exit(1);
+  }
+
+  const server = new MCPServer(config);
+  server.start().catch((error) => {
+    logger.error(`Failed to start: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { MCPServer };
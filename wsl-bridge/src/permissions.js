@@ -0,0 +1,35 @@
+/**
+ * Permission Profiles
+ * Which tools (and computer actions) each profile may use. Once connected,
+ * tools/list follows the capabilities the host announces in its hello; the
+ * profiles in @claude-chrome-bridge/shared/permissions are used before then.
+ * The Windows host enforces the same profiles on every call, so this only
+ * decides what the agent is shown.
+ */
+
+const { grantsFor, DEFAULT_PROFILE, PROFILE_HEADER, PROFILE_ORDER } = require('@claude-chrome-bridge/shared/permissions');
+
+// The tool definitions allowed by grants ({tools, computerActions} Sets), with
+// computer's action enum narrowed to match
+function filterTools(tools, grants) {
+  return tools
+    .filter(tool => grants.tools.has(tool.name))
+    .map(tool => {
+      const action = tool.name === 'computer' && tool.inputSchema.properties.action;
+      if (!action) {
+        return tool;
+      }
+      return {
+        ...tool,
+        inputSchema: {
+          ...tool.inputSchema,
+          properties: {
+            ...tool.inputSchema.properties,
+            action: { ...action, enum: action.enum.filter(name => grants.computerActions.has(name)) }
+          }
+        }
+      };
+    });
+}
+
+module.exports = { filterTools, grantsFor, DEFAULT_PROFILE, PROFILE_HEADER, PROFILE_ORDER };
@@ -0,0 +1,115 @@
+/**
+ * Session Recorder
+ * Writes every tools/call the MCP server handles to a JSONL session file, for
+ * bug reports and for replaying against a host (see session-replay.js).
+ *
+ * The file starts with a session line, then has one call line per finished call:
+ *
+ *   {"type":"session","version":1,"startedAt":"...","host":{...},"profile":"full"}
+ *   {"type":"call","seq":1,"at":1520,"durationMs":230,"correlationId":"...",
+ *    "tool":"navigate","arguments":{...},"result":{...}}
+ *
+ * at is milliseconds since the session started. A failed call has error (and
+ * errorData) instead of result; a cancelled one has cancelled: true. Image data
+ * is stored in <file>.assets/ and the result keeps a reference:
+ * "data": {"$ref": "session.assets/3f9a1c0b7d2e.png", "sha256": "..."}.
+ * Starting a new session appends to an existing file.
+ *
+ * With redact set, typed text (computer text, form_input value) is replaced
+ * the same way as in the log, and the session line has "redacted": true.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger, redactToolArguments } = require('@claude-chrome-bridge/shared/logger');
+
+const SESSION_FORMAT_VERSION = 1;
+
+// Directory for a session file's images, e.g. session.jsonl -> session.assets
+function assetsDir(file) {
+  return file.replace(/\.jsonl?$/, '') + '.assets';
+}
+
+class SessionRecorder {
+  constructor(file, { redact = false } = {}) {
+    this.file = file;
+    this.redact = redact;
+    this.assets = assetsDir(file);
+    this.started = Date.now();
+    this.seq = 0;
+    this.failed = false; // whether a write failed; only the first failure is logged
+  }
+
+  // Write the session line; meta: { host, profile }
+  start(meta = {}) {
+    this.started = Date.now();
+    try {
+      fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+    } catch (e) {
+      // append() reports it
+    }
+    this.append({
+      type: 'session',
+      version: SESSION_FORMAT_VERSION,
+      startedAt: new Date(this.started).toISOString(),
+      ...(this.redact ? { redacted: true } : {}),
+      ...meta
+    });
+  }
+
+  /**
+   * Record a finished call.
+   * call: { toolName, args, correlationId, started (ms timestamp) }
+   * outcome: { result } | { error, errorData } | { cancelled: true, reason }
+   */
+  record(call, outcome) {
+    const entry = {
+      type: 'call',
+      seq: ++this.seq,
+      at: call.started - this.started,
+      durationMs: Date.now() - call.started,
+      correlationId: call.correlationId,
+      tool: call.toolName,
+      arguments: this.redact ? redactToolArguments(call.toolName, call.args) : call.args
+    };
+
+    if (outcome.result?.type === 'image' && typeof outcome.result.data === 'string') {
+      entry.result = { ...outcome.result, data: this.saveImage(call.correlationId, outcome.result) };
+    } else {
+      Object.assign(entry, outcome);
+    }
+    this.append(entry);
+  }
+
+  // Store image data beside the session file and return the reference that replaces it
+  saveImage(name, result) {
+    const bytes = Buffer.from(result.data, 'base64');
+    const extension = (result.mediaType || 'image/png').split('/')[1];
+    const file = path.join(this.assets, `${name}.${extension}`);
+    try {
+      fs.mkdirSync(this.assets, { recursive: true });
+      fs.writeFileSync(file, bytes);
+    } catch (e) {
+      // Keep the hash so the call can still be compared
+    }
+    return {
+      $ref: path.relative(path.dirname(path.resolve(this.file)), path.resolve(file)),
+      sha256: crypto.createHash('sha256').update(bytes).digest('hex')
+    };
+  }
+
+  append(entry) {
+    try {
+      fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+    } catch (e) {
+      // A full disk shouldn't fail the tool calls being recorded
+      if (!this.failed) {
+        logger.warn(`Failed to write session recording ${this.file}: ${e.message}`);
+      }
+      this.failed = true;
+    }
+  }
+}
+
+module.exports = { SessionRecorder, SESSION_FORMAT_VERSION };
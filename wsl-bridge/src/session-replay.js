@@ -0,0 +1,270 @@
+/**
+ * Session Replay
+ * Sends the calls in a session recording (see session-recorder.js) to a host
+ * again, one at a time, and reports each call whose result differs from the
+ * recorded one.
+ *
+ * Tab ids differ between browsers, so ids learned from tabs_context_mcp (by
+ * URL) and tabs_create_mcp are mapped onto the replay's tabs, both in the
+ * arguments sent and in the results compared. Element refs are numbered per
+ * tab by the host, so those learned from find and read_page (by position) are
+ * mapped the same way, per recorded tab. Fields that change on every run
+ * (IGNORED_KEYS) are left out of the comparison, and images are compared by
+ * size and type unless compareImages is set.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { connectToHost, callTool } = require('./host-client');
+const { toolTimeout } = require('./browser-tools');
+
+const IGNORED_KEYS = ['timestamp', 'time', 'wallTime', 'requestId', 'loaderId'];
+const MAX_DIFFERENCES = 10; // per call
+const MAX_VALUE_LENGTH = 80;
+const REF_PATTERN = /\bref_\d+\b/g; // element refs, also inside read_page's tree text
+
+// The session and call lines of a recording; calls get the index of their session
+function readSession(file) {
+  const sessions = [];
+  const calls = [];
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`${file} line ${index + 1} is not valid JSON: ${e.message}`);
+    }
+    if (entry.type === 'session') {
+      sessions.push(entry);
+    } else if (entry.type === 'call') {
+      calls.push({ ...entry, session: sessions.length - 1 });
+    }
+  });
+
+  if (calls.length === 0) {
+    throw new Error(`${file} has no recorded tool calls`);
+  }
+  // Calls are written as they finish; replay them in the order they started
+  calls.sort((a, b) => a.session - b.session || a.at - b.at);
+  return { sessions, calls };
+}
+
+/**
+ * A copy of value ready to compare: recorded tab ids translated with idMap
+ * and element refs with refMap (if any), IGNORED_KEYS (and extra ignored keys) removed, and image data (a $ref from
+ * the recording or base64 from the host) reduced to its hash, or dropped.
+ */
+function normalize(value, options) {
+  if (typeof value === 'string') {
+    const id = options.idMap.get(value) ?? value;
+    return options.refMap ? id.replace(REF_PATTERN, ref => options.refMap.get(ref) ?? ref) : id;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => normalize(item, options));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (options.ignored.includes(key)) continue;
+    if (key === 'data' && value.type === 'image') {
+      if (options.compareImages) {
+        copy.sha256 = typeof item === 'string' ? crypto.createHash('sha256').update(Buffer.from(item, 'base64')).digest('hex') : item?.sha256;
+      }
+      continue;
+    }
+    copy[key] = normalize(item, options);
+  }
+  return copy;
+}
+
+function show(value) {
+  const text = value === undefined ? 'missing' : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}...` : text;
+}
+
+// Push "path: expected -> actual" lines for each difference, up to MAX_DIFFERENCES
+function compare(expected, actual, path, differences) {
+  if (differences.length >= MAX_DIFFERENCES) {
+    return;
+  }
+  const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object' &&
+    Array.isArray(expected) === Array.isArray(actual);
+  if (!bothObjects) {
+    if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+      differences.push(`${path}: ${show(expected)} -> ${show(actual)}`);
+    }
+    return;
+  }
+
+  if (Array.isArray(expected) && expected.length !== actual.length) {
+    differences.push(`${path}: ${expected.length} items -> ${actual.length} items`);
+  }
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  for (const key of keys) {
+    if (Array.isArray(expected) && (key >= expected.length || key >= actual.length)) continue;
+    compare(expected[key], actual[key], Array.isArray(expected) ? `${path}[${key}]` : `${path}.${key}`, differences);
+  }
+}
+
+// Pair the recording's tabs with the replay's by URL; tabs whose URL differs take the rest in order
+function learnTabIds(recorded, replayed, idMap) {
+  const claimed = new Set(idMap.values());
+  const free = replayed.filter(tab => !claimed.has(tab.id));
+  const claim = (tab, match) => {
+    idMap.set(tab.id, match.id);
+    free.splice(free.indexOf(match), 1);
+  };
+
+  const unmapped = recorded.filter(tab => !idMap.has(tab.id));
+  for (const tab of unmapped) {
+    const match = free.find(candidate => candidate.url === tab.url);
+    if (match) claim(tab, match);
+  }
+  for (const tab of unmapped.filter(tab => !idMap.has(tab.id))) {
+    if (free.length === 0) break;
+    claim(tab, free[0]);
+  }
+}
+
+// The element refs in a find or read_page result, in the order they appear
+function refsIn(tool, result) {
+  if (tool === 'find') {
+    return (result?.elements || []).map(element => element.ref).filter(Boolean);
+  }
+  if (tool === 'read_page' && typeof result?.tree === 'string') {
+    return result.tree.match(REF_PATTERN) || [];
+  }
+  return [];
+}
+
+// Map the recording's tab ids and element refs onto the ones the replay got back
+function learnIds(call, replayed, maps) {
+  if (call.tool === 'tabs_context_mcp' && call.result?.tabs && replayed?.tabs) {
+    learnTabIds(call.result.tabs, replayed.tabs, maps.idMap);
+  }
+  if (call.tool === 'tabs_create_mcp' && call.result?.id && replayed?.id) {
+    maps.idMap.set(call.result.id, replayed.id);
+  }
+
+  const recordedRefs = refsIn(call.tool, call.result);
+  if (recordedRefs.length > 0) {
+    const replayedRefs = refsIn(call.tool, replayed);
+    const tabId = call.arguments?.tabId;
+    if (!maps.refMaps.has(tabId)) {
+      maps.refMaps.set(tabId, new Map());
+    }
+    const refMap = maps.refMaps.get(tabId);
+    recordedRefs.forEach((ref, i) => {
+      if (replayedRefs[i] && !refMap.has(ref)) {
+        refMap.set(ref, replayedRefs[i]);
+      }
+    });
+  }
+}
+
+// The differences between a recorded call's outcome and the replayed one
+function outcomeDifferences(call, replayed, options) {
+  const differences = [];
+  if (call.error !== undefined || replayed.error !== undefined) {
+    if (call.error === undefined) {
+      differences.push(`expected a result, got error: ${show(replayed.error)}`);
+    } else if (replayed.error === undefined) {
+      differences.push(`expected error ${show(call.error)}, got a result`);
+    } else {
+      compare({ error: call.error, code: call.errorData?.code }, { error: replayed.error, code: replayed.errorData?.code }, 'error', differences);
+    }
+    return differences;
+  }
+  compare(normalize(call.result, options), normalize(replayed.result, { ...options, idMap: new Map(), refMap: null }), 'result', differences);
+  return differences;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Replay a recording against the host in config.
+ * options: realtime (keep the recorded gaps between calls), compareImages
+ * (compare image content, not just size), ignore (more keys to leave out),
+ * json (print the report as JSON).
+ * Resolves with the report: { file, host, replayed, same, different, skipped, calls }.
+ */
+async function replaySession(file, config, options = {}, out = process.stdout) {
+  const { calls } = readSession(file);
+  const compareOptions = {
+    idMap: new Map(),
+    refMaps: new Map(), // recorded tab id -> recorded ref -> replayed ref
+    ignored: [...IGNORED_KEYS, ...(options.ignore || [])],
+    compareImages: !!options.compareImages
+  };
+
+  const { ws, host } = await connectToHost(config, { profile: config.profile });
+  const report = { file, host: host.url, replayed: 0, same: 0, different: 0, skipped: 0, calls: [] };
+  const print = (text) => {
+    if (!options.json) out.write(text);
+  };
+  print(`Replaying ${calls.length} call(s) from ${file} against ${host.url}\n\n`);
+
+  let previous = null;
+  try {
+    for (const call of calls) {
+      const entry = { seq: call.seq, session: call.session, tool: call.tool };
+      report.calls.push(entry);
+
+      if (call.cancelled) {
+        entry.status = 'skipped';
+        report.skipped++;
+        print(`  [skip] #${call.seq} ${call.tool}: cancelled in the recording\n`);
+        continue;
+      }
+
+      if (options.realtime && previous && previous.call.session === call.session) {
+        await sleep(call.at - previous.call.at - (Date.now() - previous.started));
+      }
+
+      const started = Date.now();
+      previous = { call, started };
+      const callOptions = { ...compareOptions, refMap: compareOptions.refMaps.get(call.arguments?.tabId) };
+      const args = normalize(call.arguments || {}, { ...callOptions, ignored: [], compareImages: false });
+      const replayed = {};
+      try {
+        replayed.result = await callTool(ws, call.tool, args, toolTimeout(call.tool, args, config.toolTimeout));
+      } catch (e) {
+        replayed.error = e.message;
+        replayed.errorData = e.data;
+      }
+      entry.durationMs = Date.now() - started;
+      entry.recordedDurationMs = call.durationMs;
+      report.replayed++;
+
+      learnIds(call, replayed.result, compareOptions);
+      callOptions.refMap = compareOptions.refMaps.get(call.arguments?.tabId);
+      entry.differences = outcomeDifferences(call, replayed, callOptions);
+      entry.status = entry.differences.length > 0 ? 'different' : 'same';
+      report[entry.status]++;
+
+      const timing = `${entry.durationMs}ms, recorded ${call.durationMs}ms`;
+      print(`  [${entry.status === 'same' ? 'same' : 'DIFF'}] #${call.seq} ${call.tool} (${timing})\n`);
+      for (const difference of entry.differences) {
+        print(`         ${difference}\n`);
+      }
+    }
+  } finally {
+    ws.close();
+  }
+
+  print(`\n${report.replayed} call(s) replayed: ${report.same} same, ${report.different} different, ${report.skipped} skipped\n`);
+  if (options.json) {
+    out.write(`${JSON.stringify(report, null, 2)}\n`);
+  }
+  return report;
+}
+
+module.exports = { replaySession };
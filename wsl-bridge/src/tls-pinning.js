@@ -0,0 +1,62 @@
+/**
+ * TLS Pinning
+ * Options for connecting to the host over wss://. The host's self-signed
+ * certificate is trusted only if its SHA-256 fingerprint matches the pinned
+ * one, so no CA is involved and the host IP doesn't need to be in the certificate.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { candidateHostFiles } = require('./auth-token');
+
+const CERT_FILE_NAME = 'cert.pem';
+
+// "aa:bb..." / "AABB..." -> "AA:BB..." as reported by getPeerCertificate()
+function normalizeFingerprint(fingerprint) {
+  const hex = fingerprint.replace(/[^0-9a-f]/gi, '').toUpperCase();
+  return hex.match(/.{2}/g)?.join(':') || '';
+}
+
+function readCertificate() {
+  const candidates = process.env.CLAUDE_BRIDGE_CERT_FILE
+    ? [process.env.CLAUDE_BRIDGE_CERT_FILE]
+    : candidateHostFiles(CERT_FILE_NAME);
+
+  for (const file of candidates) {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      // Try the next candidate
+    }
+  }
+  throw new Error(`No host TLS certificate found (looked in ${candidates.join(', ') || '/mnt/c/Users'}). Start the Windows host with CLAUDE_BRIDGE_TLS=1 to generate it, or set CLAUDE_BRIDGE_CERT_FILE.`);
+}
+
+/**
+ * ws/https options that pin the host certificate. The pin is
+ * CLAUDE_BRIDGE_CERT_FINGERPRINT when set, otherwise the fingerprint of the
+ * certificate file the host wrote.
+ */
+function tlsOptions() {
+  const cert = readCertificate();
+  const actual = new crypto.X509Certificate(cert).fingerprint256;
+  const pinned = process.env.CLAUDE_BRIDGE_CERT_FINGERPRINT
+    ? normalizeFingerprint(process.env.CLAUDE_BRIDGE_CERT_FINGERPRINT)
+    : actual;
+
+  if (pinned !== actual) {
+    throw new Error(`Host certificate file has fingerprint ${actual}, expected ${pinned} (CLAUDE_BRIDGE_CERT_FINGERPRINT)`);
+  }
+
+  return {
+    ca: cert,
+    checkServerIdentity: (host, peer) => {
+      if (peer.fingerprint256 !== pinned) {
+        return new Error(`Host certificate fingerprint ${peer.fingerprint256} does not match pinned ${pinned}`);
+      }
+      return undefined;
+    }
+  };
+}
+
+module.exports = { tlsOptions, normalizeFingerprint };
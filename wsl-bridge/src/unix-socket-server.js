@@ -7,6 +7,7 @@
 
 const net = require('net');
 const fs = require('fs');
+const { logger } = require('@claude-chrome-bridge/shared/logger');
 
 class UnixSocketClient {
   constructor(socket) {
@@ -53,7 +54,7 @@ class UnixSocketClient {
             this.messageHandler(message);
           }
         } catch (error) {
-          console.error(`[Bridge] Failed to parse Unix socket message: ${error.message}`);
+          logger.error(`Failed to parse Unix socket message: ${error.message}`);
         }
       }
     }
@@ -101,7 +102,7 @@ class UnixSocketServer {
   start() {
     // Remove existing socket file if it exists
     if (fs.existsSync(this.socketPath)) {
-      console.log(`[Bridge] Removing stale socket: ${this.socketPath}`);
+      logger.info(`Removing stale socket: ${this.socketPath}`);
       fs.unlinkSync(this.socketPath);
     }
 
@@ -119,7 +120,7 @@ class UnixSocketServer {
     });
 
     this.server.listen(this.socketPath, () => {
-      console.log(`[Bridge] Unix socket created at ${this.socketPath}`);
+      logger.info(`Unix socket created at ${this.socketPath}`);
 
       // Make socket accessible
       try {
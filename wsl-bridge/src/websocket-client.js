@@ -3,17 +3,34 @@
  */
 
 const WebSocket = require('ws');
+const { authHeaders, isAuthError } = require('./auth-token');
+const { tlsOptions } = require('./tls-pinning');
+const { discoverHost } = require('./host-discovery');
+const { logger } = require('@claude-chrome-bridge/shared/logger');
+const { performHandshake, isHandshakeMessage } = require('./handshake');
+const { Heartbeat } = require('./heartbeat');
 
-const RECONNECT_DELAY = 2000;
-const MAX_RECONNECT_ATTEMPTS = 50;
+// Messages sent while disconnected wait here until the connection is back
+const MAX_QUEUED_MESSAGES = 100;
+const DEFAULT_QUEUE_DEADLINE = 30000;
+const QUEUE_SWEEP_INTERVAL = 1000;
 
 class WebSocketClient {
-  constructor(url) {
-    this.url = url;
+  // config: the loaded configuration (wsPort, windowsHost, reconnect settings)
+  // headers: extra headers for the upgrade request, sent alongside the auth token
+  constructor(config, headers = {}) {
+    this.config = config;
+    this.url = null;
+    this.host = null; // { host, method, cached, url } from the last discovery
+    this.headers = headers;
     this.ws = null;
     this.reconnectAttempts = 0;
     this.shouldReconnect = true;
     this.connected = false;
+    this.capabilities = null; // from the host's hello
+    this.heartbeat = null;
+    this.queue = []; // { message, deadline, onExpire, onSent }
+    this.sweepTimer = null;
 
     this.openHandler = null;
     this.messageHandler = null;
@@ -37,36 +54,83 @@ class WebSocketClient {
     this.errorHandler = handler;
   }
 
+  // Last heartbeat round trip to the Windows host in ms, or null if unknown
+  get latency() {
+    return this.isConnected() ? this.heartbeat?.latency ?? null : null;
+  }
+
   isConnected() {
     return this.connected && this.ws && this.ws.readyState === WebSocket.OPEN;
   }
 
-  connect() {
-    if (this.ws) {
-      this.ws.removeAllListeners();
-      this.ws.close();
+  // Find the host (again on every attempt, in case the network changed) and connect to it
+  async connect() {
+    this.dropSocket();
+
+    let options;
+    try {
+      this.host = await discoverHost({ port: this.config.wsPort, windowsHost: this.config.windowsHost, tls: this.config.tls });
+      this.url = this.host.url;
+      logger.info(`Connecting to Windows host at ${this.url} (found via ${this.host.method}${this.host.cached ? ', cached' : ''})...`);
+
+      options = { headers: { ...authHeaders(), ...this.headers } };
+      if (this.url.startsWith('wss:')) {
+        Object.assign(options, tlsOptions());
+      }
+    } catch (error) {
+      // Like ECONNREFUSED below, a host that isn't up yet is only reported once
+      if (this.errorHandler && this.reconnectAttempts === 0) {
+        this.errorHandler(error);
+      }
+      this.attemptReconnect();
+      return;
     }
 
-    console.log(`[Bridge] Connecting to Windows host at ${this.url}...`);
+    if (!this.shouldReconnect) {
+      return; // closed while discovering
+    }
+
+    this.ws = new WebSocket(this.url, options);
 
-    this.ws = new WebSocket(this.url);
+    const ws = this.ws;
+    ws.on('open', async () => {
+      try {
+        this.capabilities = await performHandshake(ws);
+      } catch (error) {
+        if (this.errorHandler) {
+          this.errorHandler(error);
+        }
+        ws.close();
+        return;
+      }
 
-    this.ws.on('open', () => {
       this.connected = true;
       this.reconnectAttempts = 0;
+
+      // Terminating the socket fires 'close', which reconnects
+      this.heartbeat = new Heartbeat(ws);
+      this.heartbeat.onDead(() => {
+        logger.warn('Windows host stopped answering heartbeats; reconnecting');
+      });
+      this.heartbeat.start();
+
+      this.flushQueue();
       if (this.openHandler) {
-        this.openHandler();
+        this.openHandler(this.capabilities);
       }
     });
 
     this.ws.on('message', (data) => {
       try {
         const message = JSON.parse(data.toString());
+        if (isHandshakeMessage(message)) {
+          return; // handled by performHandshake
+        }
         if (this.messageHandler) {
           this.messageHandler(message);
         }
       } catch (error) {
-        console.error(`[Bridge] Failed to parse WebSocket message: ${error.message}`);
+        logger.error(`Failed to parse WebSocket message: ${error.message}`);
       }
     });
 
@@ -79,6 +143,9 @@ class WebSocketClient {
     });
 
     this.ws.on('error', (error) => {
+      if (isAuthError(error)) {
+        error = new Error('Windows host rejected the auth token; check the token file or CLAUDE_BRIDGE_TOKEN');
+      }
       // Suppress ECONNREFUSED from spamming console during reconnection
       if (error.code !== 'ECONNREFUSED') {
         if (this.errorHandler) {
@@ -88,24 +155,46 @@ class WebSocketClient {
     });
   }
 
+  // Close the current socket without letting it reconnect on its own. Its
+  // 'close' listener is gone by the time it fires, so run the disconnect
+  // handling here; requests in flight on it are resent or failed.
+  dropSocket() {
+    if (!this.ws) {
+      return;
+    }
+    const ws = this.ws;
+    const wasConnected = this.connected;
+    this.ws = null;
+    this.connected = false;
+    this.heartbeat?.stop();
+    this.heartbeat = null;
+
+    ws.removeAllListeners();
+    ws.on('error', () => {}); // closing a socket that is still connecting emits one
+    ws.close();
+    if (wasConnected && this.closeHandler) {
+      this.closeHandler();
+    }
+  }
+
   attemptReconnect() {
     if (!this.shouldReconnect) {
       return;
     }
 
-    if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
-      console.error(`[Bridge] Max reconnection attempts (${MAX_RECONNECT_ATTEMPTS}) reached`);
-      console.error('[Bridge] Please ensure the Windows host is running and try again');
+    if (this.reconnectAttempts >= this.config.maxReconnectAttempts) {
+      logger.error(`Max reconnection attempts (${this.config.maxReconnectAttempts}) reached`);
+      logger.error('Please ensure the Windows host is running and try again');
       return;
     }
 
     this.reconnectAttempts++;
-    const delay = RECONNECT_DELAY * Math.min(this.reconnectAttempts, 5);
+    const delay = this.config.reconnectDelay * Math.min(this.reconnectAttempts, 5);
 
     if (this.reconnectAttempts === 1) {
-      console.log('[Bridge] Windows host not available, waiting for connection...');
+      logger.info('Windows host not available, waiting for connection...');
     } else if (this.reconnectAttempts % 5 === 0) {
-      console.log(`[Bridge] Still waiting for Windows host... (attempt ${this.reconnectAttempts})`);
+      logger.info(`Still waiting for Windows host... (attempt ${this.reconnectAttempts})`);
     }
 
     setTimeout(() => {
@@ -115,17 +204,88 @@ class WebSocketClient {
     }, delay);
   }
 
-  send(message) {
+  /**
+   * Send a message now, or queue it until the connection is back.
+   *
+   * options.deadline: epoch ms after which a queued message is dropped (default 30s from now)
+   * options.onExpire(error): called if the message is dropped unsent (deadline or full queue)
+   * options.onSent(): called once the message has been written to the socket
+   */
+  send(message, options = {}) {
+    const entry = {
+      message,
+      deadline: options.deadline ?? Date.now() + DEFAULT_QUEUE_DEADLINE,
+      onExpire: options.onExpire || ((error) => logger.warn(`Dropped message ${message.id}: ${error.message}`)),
+      onSent: options.onSent || null
+    };
+
     if (this.isConnected()) {
-      this.ws.send(JSON.stringify(message));
+      this.write(entry);
+      return;
+    }
+
+    if (this.queue.length >= MAX_QUEUED_MESSAGES) {
+      entry.onExpire(new Error(`Not connected to the Windows host and ${MAX_QUEUED_MESSAGES} messages are already waiting`));
+      return;
+    }
+
+    this.queue.push(entry);
+    if (!this.sweepTimer) {
+      this.sweepTimer = setInterval(() => this.expireQueued(), QUEUE_SWEEP_INTERVAL);
     }
   }
 
+  write(entry) {
+    this.ws.send(JSON.stringify(entry.message));
+    if (entry.onSent) {
+      entry.onSent();
+    }
+  }
+
+  // Send everything that queued up while disconnected, oldest first
+  flushQueue() {
+    this.expireQueued();
+    const queued = this.queue;
+    this.queue = [];
+    this.stopSweep();
+
+    if (queued.length > 0) {
+      logger.info(`Sending ${queued.length} queued message(s)`);
+    }
+    for (const entry of queued) {
+      this.write(entry);
+    }
+  }
+
+  expireQueued(reason = 'Timed out waiting for the connection to the Windows host') {
+    const now = Date.now();
+    const expired = this.queue.filter(entry => entry.deadline <= now);
+    if (expired.length === 0) {
+      return;
+    }
+
+    this.queue = this.queue.filter(entry => entry.deadline > now);
+    if (this.queue.length === 0) {
+      this.stopSweep();
+    }
+    expired.forEach(entry => entry.onExpire(new Error(reason)));
+  }
+
+  stopSweep() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
   close() {
     this.shouldReconnect = false;
     if (this.ws) {
       this.ws.close();
     }
+
+    const queued = this.queue;
+    this.queue = [];
+    this.stopSweep();
+    queued.forEach(entry => entry.onExpire(new Error('The bridge is shutting down')));
   }
 }
 